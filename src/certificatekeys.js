@@ -0,0 +1,88 @@
+var assert = require('assert');
+var nacl   = require('tweetnacl');
+
+/** Encode a buffer as base64url without padding (RFC 4648, sec. 5) */
+var base64url = function(buffer) {
+  return Buffer.from(buffer).toString('base64')
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=/g,  '');
+};
+
+/** Decode base64 or base64url, with or without padding */
+var fromBase64 = function(str) {
+  return Buffer.from(str.replace(/-/g, '+').replace(/_/g, '/'), 'base64');
+};
+
+/**
+ * Load the Ed25519 key used to sign version 2 certificates, given the key id
+ * and the base64-encoded 32 byte seed of the key.  Returns
+ * `{kid, publicKey, secretKey}`, or null if no key is configured.
+ */
+var loadSigningKey = function({keyId, secretKey}) {
+  if (!secretKey) {
+    return null;
+  }
+  assert(keyId, 'a keyId must be given along with the signing key');
+  let seed = fromBase64(secretKey);
+  assert(seed.length === nacl.sign.seedLength,
+    'signing key must be a base64-encoded ' + nacl.sign.seedLength + ' byte seed');
+  let keyPair = nacl.sign.keyPair.fromSeed(seed);
+  return {
+    kid:        keyId,
+    publicKey:  Buffer.from(keyPair.publicKey),
+    secretKey:  Buffer.from(keyPair.secretKey),
+  };
+};
+
+/** Return the JWKS listing the public part of the given keys */
+var toJWKS = function(keys) {
+  return {
+    keys: keys.map(({kid, publicKey}) => ({
+      kty:  'OKP',
+      crv:  'Ed25519',
+      use:  'sig',
+      alg:  'EdDSA',
+      kid,
+      x:    base64url(publicKey),
+    })),
+  };
+};
+
+/**
+ * Return a mapping from kid to public key, given a JWKS as returned by
+ * `toJWKS`.  Keys other than Ed25519 keys are ignored.  This is suitable as
+ * `certificateKeys` for `limitClientWithExt` and `createSignatureValidator`.
+ */
+var fromJWKS = function(jwks) {
+  let keys = {};
+  for (let jwk of jwks.keys) {
+    if (jwk.kty === 'OKP' && jwk.crv === 'Ed25519' && jwk.kid && jwk.x) {
+      keys[jwk.kid] = fromBase64(jwk.x);
+    }
+  }
+  return keys;
+};
+
+/** Sign message (a string) with the secretKey from `loadSigningKey` */
+var sign = function(message, secretKey) {
+  return Buffer.from(
+    nacl.sign.detached(Buffer.from(message, 'utf-8'), secretKey)
+  ).toString('base64');
+};
+
+/** Return true if signature (base64) is a signature of message by publicKey */
+var verify = function(message, signature, publicKey) {
+  let sig = fromBase64(signature);
+  if (sig.length !== nacl.sign.signatureLength ||
+      publicKey.length !== nacl.sign.publicKeyLength) {
+    return false;
+  }
+  return nacl.sign.detached.verify(Buffer.from(message, 'utf-8'), sig, publicKey);
+};
+
+exports.loadSigningKey = loadSigningKey;
+exports.toJWKS = toJWKS;
+exports.fromJWKS = fromJWKS;
+exports.sign = sign;
+exports.verify = verify;
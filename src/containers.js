@@ -1,7 +1,67 @@
 const _ = require('lodash');
 const assert = require('assert');
+const crypto = require('crypto');
 const {DataContainer, DataBlockBlob} = require('azure-blob-storage');
 
+const ROLES_SCHEMA = {
+  title: 'Roles',
+  type: 'array',
+  items: {
+    type: 'object',
+    properties: {
+      roleId: {
+        type: 'string',
+        pattern: '^[\\x20-\\x7e]+$',
+      },
+      scopes: {
+        type: 'array',
+        items: {
+          type: 'string',
+          pattern: '^[\x20-\x7e]*$',
+        },
+      },
+      description: {
+        type: 'string',
+        maxLength: 1024*10,
+      },
+      lastModified: {
+        type: 'string',
+        format: 'date-time',
+      },
+      created: {
+        type: 'string',
+        format: 'date-time',
+      },
+    },
+    additionalProperties: false,
+    required: ['roleId', 'scopes', 'description', 'lastModified', 'created'],
+  },
+};
+
+const ROLE_FREEZE_SCHEMA = {
+  title: 'Role Freeze',
+  type: 'object',
+  properties: {
+    reason: {
+      type: 'string',
+      maxLength: 1024*10,
+    },
+    clientId: {
+      type: 'string',
+    },
+    created: {
+      type: 'string',
+      format: 'date-time',
+    },
+    expires: {
+      type: 'string',
+      format: 'date-time',
+    },
+  },
+  additionalProperties: false,
+  required: ['reason', 'clientId', 'created'],
+};
+
 /**
  * Roles stores exactly one blob that contains all of the defined roles.  This
  * is for purposes of serializing updates to the roles. Without this protection,
@@ -14,44 +74,32 @@ class Roles {
     this.containerName = containerName;
   }
 
+  /**
+   * Get the etag of a single role.  This depends only on the role itself, so
+   * modifications of other roles do not change it.
+   */
+  static etag(role) {
+    let content = JSON.stringify({
+      roleId:       role.roleId,
+      scopes:       _.clone(role.scopes).sort(),
+      description:  role.description,
+      created:      role.created,
+      lastModified: role.lastModified,
+    });
+    return crypto.createHash('sha256').update(content).digest('hex');
+  }
+
   async setup() {
     this.container = new DataContainer({
       container: this.containerName,
       credentials: this.credentials,
+      // version 2 adds the role freeze (see RoleFreeze, below); blobs written
+      // before that continue to be validated against version 1
+      schemaVersion: 2,
       schema: {
         $schema: 'http://json-schema.org/draft-06/schema#',
         title: 'Roles',
-        type: 'array',
-        items: {
-          type: 'object',
-          properties: {
-            roleId: {
-              type: 'string',
-              pattern: '^[\\x20-\\x7e]+$',
-            },
-            scopes: {
-              type: 'array',
-              items: {
-                type: 'string',
-                pattern: '^[\x20-\x7e]*$',
-              },
-            },
-            description: {
-              type: 'string',
-              maxLength: 1024*10,
-            },
-            lastModified: {
-              type: 'string',
-              format: 'date-time',
-            },
-            created: {
-              type: 'string',
-              format: 'date-time',
-            },
-          },
-          additionalProperties: false,
-          required: ['roleId', 'scopes', 'description', 'lastModified', 'created'],
-        },
+        anyOf: [ROLES_SCHEMA, ROLE_FREEZE_SCHEMA],
       },
     });
 
@@ -107,3 +155,57 @@ class Roles {
 };
 
 exports.Roles = Roles;
+
+/**
+ * RoleFreeze stores the freeze on role modifications, if any, as a second blob
+ * in the Roles container, of the form {reason, clientId, created, expires}.
+ * It is constructed with a Roles instance on which setup has been called.
+ */
+class RoleFreeze {
+  constructor({roles}) {
+    this.roles = roles;
+  }
+
+  async setup() {
+    this.blob = new DataBlockBlob({
+      container: this.roles.container,
+      name: 'RoleFreeze',
+    });
+  }
+
+  /**
+   * Get the current freeze, or null if roles are not frozen.  A freeze that
+   * has expired is treated as if it did not exist.
+   */
+  async get() {
+    let freeze;
+    try {
+      freeze = await this.blob.load();
+    } catch (e) {
+      if (e.code !== 'BlobNotFound') {
+        throw e;
+      }
+      return null;
+    }
+    if (freeze.expires && new Date(freeze.expires) < new Date()) {
+      return null;
+    }
+    return freeze;
+  }
+
+  /**
+   * Freeze role modifications, replacing any existing freeze.
+   */
+  async set(freeze) {
+    await this.blob.create(freeze);
+  }
+
+  /**
+   * Remove any freeze on role modifications.
+   */
+  async clear() {
+    await this.blob.remove(true, true);
+  }
+}
+
+exports.RoleFreeze = RoleFreeze;
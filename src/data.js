@@ -3,6 +3,8 @@ var Entity      = require('azure-entities');
 var assert      = require('assert');
 var _           = require('lodash');
 var taskcluster = require('taskcluster-client');
+var slugid      = require('slugid');
+var crypto      = require('crypto');
 
 var Client = Entity.configure({
   version:          1,
@@ -80,16 +82,216 @@ var Client = Entity.configure({
     item.details = _.defaults({}, item.details, {deleteOnExpiration: false});
     return item;
   },
+}).configure({
+  version:          4,
+  signEntities:     true,
+  properties: {
+    clientId:       Entity.types.String,
+    description:    Entity.types.Text,
+    accessToken:    Entity.types.EncryptedText,
+    expires:        Entity.types.Date,
+    /**
+     * Details object with properties as in v3, and:
+     * - allowedNetworks    // optional list of CIDRs the client may be used
+     *                      // from; any network if absent
+     */
+    details:        Entity.types.Schema({
+      type: 'object',
+      properties: {
+        created:            {type: 'string', format: 'date-time'},
+        lastModified:       {type: 'string', format: 'date-time'},
+        lastDateUsed:       {type: 'string', format: 'date-time'},
+        lastRotated:        {type: 'string', format: 'date-time'},
+        deleteOnExpiration: {type: 'boolean'},
+        allowedNetworks:    {type: 'array', items: {type: 'string'}},
+      },
+      required: [
+        'created', 'lastModified', 'lastDateUsed', 'lastRotated',
+        'deleteOnExpiration',
+      ],
+    }),
+    scopes:         Entity.types.JSON,
+    disabled:       Entity.types.Number,
+    /**
+     * The accessToken replaced by the last rotation, which remains valid
+     * until previousAccessTokenExpires.  Empty string if there is none.
+     */
+    previousAccessToken:        Entity.types.EncryptedText, // new in v4
+    previousAccessTokenExpires: Entity.types.Date,          // new in v4
+  },
+  migrate(item) {
+    item.previousAccessToken = '';
+    item.previousAccessTokenExpires = new Date(0);
+    return item;
+  },
+}).configure({
+  version:          5,
+  signEntities:     true,
+  properties: {
+    clientId:       Entity.types.String,
+    description:    Entity.types.Text,
+    accessToken:    Entity.types.EncryptedText,
+    expires:        Entity.types.Date,
+    /**
+     * Details object with properties as in v4, and:
+     * - disableReason      // why the client was disabled, if it is disabled
+     * - disabledUntil      // when to re-enable the client, if it is disabled
+     *                      // only for a while
+     */
+    details:        Entity.types.Schema({
+      type: 'object',
+      properties: {
+        created:            {type: 'string', format: 'date-time'},
+        lastModified:       {type: 'string', format: 'date-time'},
+        lastDateUsed:       {type: 'string', format: 'date-time'},
+        lastRotated:        {type: 'string', format: 'date-time'},
+        deleteOnExpiration: {type: 'boolean'},
+        allowedNetworks:    {type: 'array', items: {type: 'string'}},
+        disableReason:      {type: 'string'},
+        disabledUntil:      {type: 'string', format: 'date-time'},
+      },
+      required: [
+        'created', 'lastModified', 'lastDateUsed', 'lastRotated',
+        'deleteOnExpiration',
+      ],
+    }),
+    scopes:         Entity.types.JSON,
+    disabled:       Entity.types.Number,
+    previousAccessToken:        Entity.types.EncryptedText,
+    previousAccessTokenExpires: Entity.types.Date,
+    /**
+     * Email address or identity of the owner of the client, or empty string
+     * if unknown.  This is a property of its own, so clients can be filtered
+     * by owner in azure.
+     */
+    owner:          Entity.types.String,  // new in v5
+    /** Mapping from tag name to value, e.g., {project: 'taskcluster'} */
+    tags:           Entity.types.Schema({ // new in v5
+      type: 'object',
+      additionalProperties: {type: 'string'},
+    }),
+  },
+  migrate(item) {
+    item.owner = '';
+    item.tags = {};
+    return item;
+  },
 });
 
+/**
+ * Key builder for the partition key of clients; clients are stored, and so
+ * scanned, in the order of this encoding of their clientId.
+ */
+var clientIdKey = Entity.keys.StringKey('clientId')({
+  clientId: new Entity.types.String('clientId'),
+});
+
+/**
+ * Scan clients whose clientId starts with `prefix`, taking `conditions` and
+ * the `continuation` and `limit` options like `Client.scan`, and returning
+ * `{entries, continuation}` like it.  The encoding of clientIds in partition
+ * keys preserves prefixes, so this filters on the range of partition keys
+ * from the encoded prefix up to the encoded prefix with its last character
+ * incremented, and azure reads only the clients in that range.
+ */
+Client.scanPrefix = async function(prefix, conditions, {continuation, limit} = {}) {
+  let ClassProps = this.prototype;
+  let appendFilter = ClassProps.__filterBuilder;
+  let lowerBound = clientIdKey.exact({clientId: prefix});
+  let upperBound = lowerBound.slice(0, -1) +
+    String.fromCharCode(lowerBound.charCodeAt(lowerBound.length - 1) + 1);
+
+  let partitionKey = new Entity.types.String('PartitionKey');
+  let filter = appendFilter(null, partitionKey, Entity.op.greaterThanOrEqual(lowerBound));
+  filter = appendFilter(filter, partitionKey, Entity.op.lessThan(upperBound));
+  _.forIn(conditions, (op, property) => {
+    let type = ClassProps.__mapping[property];
+    assert(type, 'Property: \'' + property + '\' used in query is not defined!');
+    filter = appendFilter(filter, type, op instanceof Entity.op ? op : Entity.op.equal(op));
+  });
+
+  // continuation tokens are encoded as in azure-entities, so that they are
+  // interchangeable with those of Client.scan
+  let next = {};
+  if (continuation) {
+    let [nextPartitionKey, nextRowKey] = continuation.split('~').map(decodeURIComponent);
+    next = {nextPartitionKey, nextRowKey};
+  }
+  let data = await ClassProps.__aux.queryEntities(_.assign({
+    filter,
+    top: Math.min(limit || 1000, 1000),
+  }, next));
+  if (data.nextPartitionKey || data.nextRowKey) {
+    continuation = [data.nextPartitionKey, data.nextRowKey].map(
+      key => encodeURIComponent(key || '').replace(/~/g, '%7e')).join('~');
+  } else {
+    continuation = undefined;
+  }
+  return {
+    entries: data.entities.map(entity => new this(entity)),
+    continuation,
+  };
+};
+
 /** Get scopes granted to this client */
 Client.prototype.expandedScopes = function(resolver) {
   return resolver.resolve(this.scopes);
 };
 
+/**
+ * Get the etag of a client, given its properties (the client itself, or the
+ * properties given to a `modify` modifier).  The etag covers the properties
+ * that can be modified through the API, so it does not change when the client
+ * is merely used.  Scopes and tags are sorted, as their order is not
+ * significant (and the resolver sorts scopes in place).
+ */
+Client.etag = function(client) {
+  let editable = {
+    description:        client.description,
+    expires:            client.expires.toJSON(),
+    scopes:             _.clone(client.scopes).sort(),
+    deleteOnExpiration: client.details.deleteOnExpiration,
+    allowedNetworks:    client.details.allowedNetworks || [],
+    owner:              client.owner,
+    tags:               _.sortBy(_.toPairs(client.tags)),
+    disabled:           client.disabled,
+    disableReason:      client.details.disableReason,
+    disabledUntil:      client.details.disabledUntil,
+  };
+  return crypto.createHash('sha256').update(JSON.stringify(editable)).digest('hex');
+};
+
+/**
+ * Get the state of a client recorded in its history (see
+ * `ClientHistory.record`), given the client itself or the properties given to
+ * a `modify` modifier: everything that can be changed through the API, and
+ * when its accessToken was last rotated.  The state is a copy, so it is not
+ * affected by later modifications.
+ */
+Client.historyState = function(client) {
+  return _.cloneDeep({
+    description:        client.description,
+    scopes:             client.scopes,
+    expires:            client.expires.toJSON(),
+    deleteOnExpiration: !!client.details.deleteOnExpiration,
+    allowedNetworks:    client.details.allowedNetworks || [],
+    owner:              client.owner,
+    tags:               client.tags,
+    disabled:           !!client.disabled,
+    disableReason:      _.defaultTo(client.details.disableReason, null),
+    disabledUntil:      client.details.disabledUntil || null,
+    lastRotated:        client.details.lastRotated,
+  });
+};
+
+/** Get the etag of this client, see `Client.etag` */
+Client.prototype.etag = function() {
+  return Client.etag(this);
+};
+
 /** Get JSON representation of client */
 Client.prototype.json = function(resolver) {
-  return {
+  let json = {
     clientId:           this.clientId,
     description:        this.description,
     expires:            this.expires.toJSON(),
@@ -98,10 +300,21 @@ Client.prototype.json = function(resolver) {
     lastDateUsed:       this.details.lastDateUsed,
     lastRotated:        this.details.lastRotated,
     deleteOnExpiration: this.details.deleteOnExpiration,
+    allowedNetworks:    this.details.allowedNetworks || [],
+    owner:              this.owner,
+    tags:               this.tags,
     scopes:             this.scopes,
     expandedScopes:     this.expandedScopes(resolver),
     disabled:           !!this.disabled,
+    etag:               this.etag(),
   };
+  if (this.disabled && this.details.disableReason !== undefined) {
+    json.disableReason = this.details.disableReason;
+  }
+  if (this.disabled && this.details.disabledUntil) {
+    json.disabledUntil = this.details.disabledUntil;
+  }
+  return json;
 };
 
 /**
@@ -130,6 +343,10 @@ Client.ensureRootClient = function(accessToken) {
     },
     scopes:           ['*'],
     disabled:         0,
+    previousAccessToken:        '',
+    previousAccessTokenExpires: new Date(0),
+    owner:            '',
+    tags:             {},
   }, true);
 };
 
@@ -155,5 +372,323 @@ Client.purgeExpired = async function(now = new Date()) {
   return count;
 };
 
+/**
+ * True if this client has not been used since `unusedSince`, and its
+ * clientId does not start with any of `exemptPrefixes`.  Note that
+ * details.lastDateUsed is only updated when it is out of date by more than
+ * the resolver's maxLastUsedDelay.
+ */
+Client.prototype.isStale = function(unusedSince, exemptPrefixes = []) {
+  if (exemptPrefixes.some(prefix => this.clientId.startsWith(prefix))) {
+    return false;
+  }
+  return new Date(this.details.lastDateUsed) < unusedSince;
+};
+
+/**
+ * Find all clients that are stale (see `isStale`), given `unusedSince` and
+ * `exemptPrefixes`.
+ */
+Client.findStale = async function(unusedSince, exemptPrefixes = []) {
+  let stale = [];
+  await this.scan({}, {
+    limit: 100,
+    handler: client => {
+      if (client.isStale(unusedSince, exemptPrefixes)) {
+        stale.push(client);
+      }
+    },
+  });
+
+  return stale;
+};
+
+/**
+ * Disable this client, found stale by `findStale`, with a reason saying so.
+ * Returns the history state of the client before the change, or null if the
+ * client is no longer stale given `unusedSince` (it was used, or disabled,
+ * since it was found stale) and was left unchanged.
+ */
+Client.prototype.disableStale = async function(unusedSince) {
+  let before = null;
+  await this.modify(client => {
+    before = null;
+    if (client.disabled || !(new Date(client.details.lastDateUsed) < unusedSince)) {
+      return;
+    }
+    before = Client.historyState(client);
+    client.disabled = 1;
+    client.details.disableReason = 'Disabled automatically, as it has ' +
+      'not been used since ' + client.details.lastDateUsed;
+    delete client.details.disabledUntil;
+  });
+  return before;
+};
+
+/**
+ * Find all clients that have not yet expired at `now`, but expire before
+ * `until`.
+ */
+Client.findExpiring = async function(until, now = new Date()) {
+  let expiring = [];
+  await this.scan({
+    expires: Entity.op.lessThan(until),
+  }, {
+    limit: 100,
+    handler: client => {
+      if (client.expires >= now) {
+        expiring.push(client);
+      }
+    },
+  });
+
+  return expiring;
+};
+
+/**
+ * Re-enable all disabled clients whose details.disabledUntil is before `now`,
+ * returning `{client, before}` for each re-enabled client, where `before` is
+ * its `Client.historyState` before it was re-enabled.
+ */
+Client.reenableExpired = async function(now = new Date()) {
+  let reenabled = [];
+  await this.scan({
+    disabled: Entity.op.equal(1),
+  }, {
+    limit: 100,
+    handler: async client => {
+      if (client.details.disabledUntil && new Date(client.details.disabledUntil) < now) {
+        let before;
+        await client.modify(client => {
+          before = Client.historyState(client);
+          client.disabled = 0;
+          client.details.lastModified = new Date().toJSON();
+          delete client.details.disableReason;
+          delete client.details.disabledUntil;
+        });
+        reenabled.push({client, before});
+      }
+    },
+  });
+
+  return reenabled;
+};
+
 // Export Client
 exports.Client = Client;
+
+/**
+ * Entity for tracking changes to roles.  Each modification of a role records
+ * the caller and the role's description and scopes before and after the
+ * change.
+ */
+var RoleHistory = Entity.configure({
+  version:          1,
+  partitionKey:     Entity.keys.StringKey('roleId'),
+  // changeId is the time of the change followed by a slugid, so entries in a
+  // partition are sorted by time
+  rowKey:           Entity.keys.StringKey('changeId'),
+  signEntities:     true,
+  properties: {
+    roleId:         Entity.types.String,
+    changeId:       Entity.types.String,
+    clientId:       Entity.types.String,  // caller making the change
+    action:         Entity.types.String,  // 'created', 'updated' or 'deleted'
+    changed:        Entity.types.Date,
+    before:         Entity.types.JSON,    // {description, scopes} or null
+    after:          Entity.types.JSON,    // {description, scopes} or null
+  },
+});
+
+/**
+ * Record a change to a role, where `before` and `after` are the role
+ * definitions (or null if it did not exist before or after the change).
+ */
+RoleHistory.record = function({roleId, clientId, action, before, after}) {
+  let changed = new Date();
+  let summary = role => role ? _.pick(role, ['description', 'scopes']) : null;
+  return this.create({
+    roleId,
+    changeId:       changed.toJSON() + '-' + slugid.v4(),
+    clientId,
+    action,
+    changed,
+    before:         summary(before),
+    after:          summary(after),
+  });
+};
+
+/** Get JSON representation of a role history entry */
+RoleHistory.prototype.json = function() {
+  return {
+    roleId:         this.roleId,
+    clientId:       this.clientId,
+    action:         this.action,
+    changed:        this.changed.toJSON(),
+    before:         this.before,
+    after:          this.after,
+  };
+};
+
+// Export RoleHistory
+exports.RoleHistory = RoleHistory;
+
+/**
+ * Entity for tracking changes to clients.  Each modification of a client
+ * records the caller, the kind of change, and the changes to the client's
+ * scopes, description and other properties.
+ */
+var ClientHistory = Entity.configure({
+  version:          1,
+  partitionKey:     Entity.keys.StringKey('clientId'),
+  // changeId is the time of the change followed by a slugid, so entries in a
+  // partition are sorted by time
+  rowKey:           Entity.keys.StringKey('changeId'),
+  signEntities:     true,
+  properties: {
+    clientId:       Entity.types.String,
+    changeId:       Entity.types.String,
+    actor:          Entity.types.String,  // clientId of the caller
+    // 'created', 'updated', 'enabled', 'disabled', 'reset-access-token' or
+    // 'deleted'
+    operation:      Entity.types.String,
+    changed:        Entity.types.Date,
+    scopesAdded:    Entity.types.JSON,
+    scopesRemoved:  Entity.types.JSON,
+    description:    Entity.types.JSON,    // {before, after} or null if unchanged
+    // {<property>: {before, after}} for the other properties that changed
+    changes:        Entity.types.JSON,
+  },
+});
+
+/**
+ * Record a change to a client, where `before` and `after` are the states of
+ * the client from `Client.historyState` (or null if it did not exist before
+ * or after the change).
+ */
+ClientHistory.record = function({clientId, actor, operation, before, after}) {
+  let changed = new Date();
+  let scopesBefore = before ? before.scopes : [];
+  let scopesAfter = after ? after.scopes : [];
+  let descriptionBefore = before ? before.description : null;
+  let descriptionAfter = after ? after.description : null;
+  let changes = {};
+  _.keys(_.omit(_.assign({}, before, after), ['scopes', 'description'])).forEach(key => {
+    let valueBefore = before ? before[key] : null;
+    let valueAfter = after ? after[key] : null;
+    if (!_.isEqual(valueBefore, valueAfter)) {
+      changes[key] = {before: valueBefore, after: valueAfter};
+    }
+  });
+  return this.create({
+    clientId,
+    changeId:       changed.toJSON() + '-' + slugid.v4(),
+    actor,
+    operation,
+    changed,
+    scopesAdded:    _.difference(scopesAfter, scopesBefore),
+    scopesRemoved:  _.difference(scopesBefore, scopesAfter),
+    description:    descriptionBefore === descriptionAfter ? null :
+      {before: descriptionBefore, after: descriptionAfter},
+    changes,
+  });
+};
+
+/** Get JSON representation of a client history entry */
+ClientHistory.prototype.json = function() {
+  return {
+    clientId:       this.clientId,
+    actor:          this.actor,
+    operation:      this.operation,
+    changed:        this.changed.toJSON(),
+    scopesAdded:    this.scopesAdded,
+    scopesRemoved:  this.scopesRemoved,
+    description:    this.description,
+    changes:        this.changes,
+  };
+};
+
+// Export ClientHistory
+exports.ClientHistory = ClientHistory;
+
+/**
+ * Entity for revoked temporary credentials, identified by the clientId of the
+ * issuing client and the seed of the certificate.
+ */
+var RevokedCertificate = Entity.configure({
+  version:          1,
+  partitionKey:     Entity.keys.StringKey('issuer'),
+  rowKey:           Entity.keys.StringKey('seed'),
+  signEntities:     true,
+  properties: {
+    issuer:         Entity.types.String,
+    seed:           Entity.types.String,
+    revokedBy:      Entity.types.String,  // clientId of the caller revoking
+    revoked:        Entity.types.Date,
+    // Time after which any certificate with this seed has expired, so the
+    // revocation is no longer needed
+    expires:        Entity.types.Date,
+  },
+});
+
+/** Delete all revocations that expired before `now` */
+RevokedCertificate.purgeExpired = async function(now = new Date()) {
+  var count = 0;
+  await this.scan({
+    expires: Entity.op.lessThan(now),
+  }, {
+    limit: 100,
+    handler: async revocation => {
+      count++;
+      await revocation.remove(true);
+    },
+  });
+
+  return count;
+};
+
+// Export RevokedCertificate
+exports.RevokedCertificate = RevokedCertificate;
+
+/**
+ * Entity counting failed signatures for a clientId from a single source
+ * address, and locking the clientId out for that source once there are too
+ * many; see lockoutmanager.js.  As this is a table, the counts and lockouts
+ * are shared by all instances of the service.
+ */
+var Lockout = Entity.configure({
+  version:          1,
+  partitionKey:     Entity.keys.StringKey('clientId'),
+  rowKey:           Entity.keys.StringKey('source'),
+  signEntities:     true,
+  properties: {
+    clientId:       Entity.types.String,
+    source:         Entity.types.String,  // source IP address, or 'unknown'
+    failures:       Entity.types.Number,  // number of failures since `since`
+    since:          Entity.types.Date,    // time of the first failure counted
+    // End of the lockout; in the past if not locked out
+    lockedUntil:    Entity.types.Date,
+    // Time after which both the counting period and any lockout have ended,
+    // so the entity is no longer needed
+    expires:        Entity.types.Date,
+  },
+});
+
+/** Delete all lockouts that expired before `now` */
+Lockout.purgeExpired = async function(now = new Date()) {
+  var count = 0;
+  await this.scan({
+    expires: Entity.op.lessThan(now),
+  }, {
+    limit: 100,
+    handler: async lockout => {
+      count++;
+      await lockout.remove(true);
+    },
+  });
+
+  return count;
+};
+
+// Export Lockout
+exports.Lockout = Lockout;
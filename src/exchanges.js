@@ -123,3 +123,50 @@ exchanges.declare({
   routingKeyBuilder:  () => '',
   CCBuilder:          () => [],
 });
+
+exchanges.declare({
+  exchange:           'certificate-revoked',
+  name:               'certificateRevoked',
+  title:              'Certificate Revoked Messages',
+  description: [
+    'Message that temporary credentials have been revoked.',
+  ].join('\n'),
+  routingKey:         buildRoutingKey(),
+  schema:             'certificate-revoked-message.json#',
+  messageBuilder:     commonMessageBuilder,
+  routingKeyBuilder:  () => '',
+  CCBuilder:          () => [],
+});
+
+exchanges.declare({
+  exchange:           'client-locked-out',
+  name:               'clientLockedOut',
+  title:              'Client Locked Out Messages',
+  description: [
+    'Message that a client has been temporarily locked out after repeated',
+    'authentication failures with bad signatures from one source IP address.',
+    'The client is locked out only for that source.',
+  ].join('\n'),
+  routingKey:         buildRoutingKey(),
+  schema:             'client-locked-out-message.json#',
+  messageBuilder:     commonMessageBuilder,
+  routingKeyBuilder:  () => '',
+  CCBuilder:          () => [],
+});
+
+exchanges.declare({
+  exchange:           'client-expiring',
+  name:               'clientExpiring',
+  title:              'Client Expiring Messages',
+  description: [
+    'Message that a client will expire soon, so that its owner can be',
+    'notified.  These messages are sent periodically for every client',
+    'expiring within the configured warning period, so a client may be',
+    'reported several times before it expires.',
+  ].join('\n'),
+  routingKey:         buildRoutingKey(),
+  schema:             'client-expiring-message.json#',
+  messageBuilder:     commonMessageBuilder,
+  routingKeyBuilder:  () => '',
+  CCBuilder:          () => [],
+});
@@ -0,0 +1,204 @@
+var _           = require('lodash');
+var assert      = require('assert');
+var events      = require('events');
+var taskcluster = require('taskcluster-client');
+var Entity      = require('azure-entities');
+
+/**
+ * LockoutManager counts failed signatures per clientId and source address,
+ * and locks out a clientId for a source once there have been `threshold`
+ * failures from that source within `period`.  Requests for a locked out
+ * clientId from that source are rejected without checking their signature
+ * for `lockoutTime`.  Failures from other sources do not count towards the
+ * lockout, so bad signatures from one source cannot lock the client out for
+ * everyone.  Callers must not count failures of requests whose source is not
+ * known, as those cannot be told apart.
+ *
+ * Counts and lockouts are stored in the `Lockout` table (see data.js), so
+ * they are shared by all instances of the service.  Whether a clientId is
+ * locked out is cached for `cacheTime`, for at most `cacheSize` pairs of
+ * clientId and source, so that not every request reads the table; a lockout
+ * cleared on one instance may thus take that long to be cleared on the
+ * others.  If the table cannot be read, clients are not considered locked
+ * out, so that an outage of the table does not fail every authentication.
+ *
+ * Emits 'lockout' with `{clientId, source, failures, lockedUntil}` whenever
+ * a clientId is locked out.
+ */
+class LockoutManager extends events.EventEmitter {
+  constructor(options = {}) {
+    super();
+    options = _.defaults({}, options, {
+      threshold:    20,
+      period:       '15 minutes',
+      lockoutTime:  '15 minutes',
+      cacheTime:    '10 seconds',
+      cacheSize:    10000,
+    });
+    assert(options.Lockout, 'expected the Lockout entity');
+    assert(options.threshold > 0, 'threshold must be positive');
+    assert(taskcluster.fromNow(options.period) > new Date(),
+      'period must be positive');
+    assert(taskcluster.fromNow(options.lockoutTime) > new Date(),
+      'lockoutTime must be positive');
+    assert(options.cacheSize > 0, 'cacheSize must be positive');
+    assert(options.monitor, 'expected an instance of taskcluster-lib-monitor');
+    this._Lockout = options.Lockout;
+    this._threshold = options.threshold;
+    this._period = options.period;
+    this._lockoutTime = options.lockoutTime;
+    this._cacheTime = options.cacheTime;
+    this._cacheSize = options.cacheSize;
+    this._monitor = options.monitor;
+
+    // Mapping from `${clientId}\n${source}` to {lockedUntil, fetched}, where
+    // lockedUntil is null if not locked out, in order of least recent use
+    this._cache = new Map();
+  }
+
+  _cacheKey(clientId, source) {
+    return clientId + '\n' + source;
+  }
+
+  /** Get a cached lockout end (or null), marking it as recently used */
+  _getCached(clientId, source) {
+    let key = this._cacheKey(clientId, source);
+    let cached = this._cache.get(key);
+    if (cached) {
+      this._cache.delete(key);
+      this._cache.set(key, cached);
+    }
+    return cached;
+  }
+
+  /** Cache the end of a lockout (or null), dropping the least recently used */
+  _setCached(clientId, source, lockedUntil) {
+    let key = this._cacheKey(clientId, source);
+    this._cache.delete(key);
+    this._cache.set(key, {lockedUntil, fetched: new Date()});
+    while (this._cache.size > this._cacheSize) {
+      this._cache.delete(this._cache.keys().next().value);
+    }
+  }
+
+  /**
+   * Return the end of the lockout of clientId for the given source address,
+   * or null if not locked out
+   */
+  async lockedUntil(clientId, source) {
+    assert(typeof source === 'string', 'source must be a string');
+    let now = new Date();
+    let cached = this._getCached(clientId, source);
+    if (!cached || cached.fetched < taskcluster.fromNow('-' + this._cacheTime, now)) {
+      let lockedUntil = null;
+      try {
+        let lockout = await this._Lockout.load({clientId, source}, true);
+        if (lockout && lockout.lockedUntil > now) {
+          lockedUntil = lockout.lockedUntil;
+        }
+      } catch (err) {
+        // fail open, rather than fail every authentication
+        this._monitor.reportError(err, 'warning');
+      }
+      this._setCached(clientId, source, lockedUntil);
+      return lockedUntil;
+    }
+    return cached.lockedUntil > now ? cached.lockedUntil : null;
+  }
+
+  /** Record a failed signature for clientId from the given source address */
+  async recordFailure(clientId, source) {
+    assert(typeof source === 'string', 'source must be a string');
+    let now = new Date();
+    this._monitor.count('signature-failure', 1);
+
+    let lockout = await this._Lockout.load({clientId, source}, true);
+    if (!lockout) {
+      try {
+        lockout = await this._Lockout.create({
+          clientId,
+          source,
+          failures:     0,
+          since:        now,
+          lockedUntil:  new Date(0),
+          expires:      taskcluster.fromNow(this._period, now),
+        });
+      } catch (err) {
+        if (err.code !== 'EntityAlreadyExists') {
+          throw err;
+        }
+        lockout = await this._Lockout.load({clientId, source});
+      }
+    }
+
+    let lockedOut;
+    let windowStart = taskcluster.fromNow('-' + this._period, now);
+    await lockout.modify(lockout => {
+      lockedOut = false;
+      // start counting afresh once the period and any lockout have ended
+      if (lockout.since < windowStart && !(lockout.lockedUntil > now)) {
+        lockout.failures = 0;
+        lockout.since = now;
+      }
+      lockout.failures += 1;
+      if (lockout.failures >= this._threshold && !(lockout.lockedUntil > now)) {
+        lockout.lockedUntil = taskcluster.fromNow(this._lockoutTime, now);
+        lockedOut = true;
+      }
+      lockout.expires = new Date(Math.max(
+        taskcluster.fromNow(this._period, lockout.since),
+        lockout.lockedUntil));
+    });
+
+    if (lockedOut) {
+      this._setCached(clientId, source, lockout.lockedUntil);
+      this._monitor.count('lockout', 1);
+      this.emit('lockout', {
+        clientId,
+        source,
+        failures:     lockout.failures,
+        lockedUntil:  lockout.lockedUntil,
+      });
+    }
+  }
+
+  /**
+   * List current lockouts, as `{clientId, source, failures, lockedUntil}`,
+   * sorted by clientId and source
+   */
+  async lockouts() {
+    let result = [];
+    await this._Lockout.scan({
+      lockedUntil: Entity.op.greaterThan(new Date()),
+    }, {
+      handler: lockout => {
+        result.push(_.pick(lockout, ['clientId', 'source', 'failures', 'lockedUntil']));
+      },
+    });
+    return _.sortBy(result, ['clientId', 'source']);
+  }
+
+  /**
+   * Clear the lockouts and failure counts of clientId for all sources,
+   * returning true if it was locked out for any source
+   */
+  async clear(clientId) {
+    let now = new Date();
+    let wasLockedOut = false;
+    await this._Lockout.scan({clientId}, {
+      matchPartition: 'exact',
+      handler: async lockout => {
+        wasLockedOut = wasLockedOut || lockout.lockedUntil > now;
+        await lockout.remove(true);
+      },
+    });
+    for (let key of this._cache.keys()) {
+      if (key.startsWith(clientId + '\n')) {
+        this._cache.delete(key);
+      }
+    }
+    return wasLockedOut;
+  }
+}
+
+module.exports = LockoutManager;
@@ -14,6 +14,10 @@ let AWS                = require('aws-sdk');
 let exchanges          = require('./exchanges');
 let ScopeResolver      = require('./scoperesolver');
 let signaturevalidator = require('./signaturevalidator');
+let noncemanager       = require('./noncemanager');
+let LockoutManager     = require('./lockoutmanager');
+let SourceTracker      = require('./sourcetracker');
+let certificatekeys    = require('./certificatekeys');
 let taskcluster        = require('taskcluster-client');
 let url                = require('url');
 let SentryManager      = require('./sentrymanager');
@@ -83,6 +87,50 @@ let load = Loader({
       }),
   },
 
+  RoleHistory: {
+    requires: ['cfg', 'monitor'],
+    setup: ({cfg, monitor}) =>
+      data.RoleHistory.setup({
+        table:        cfg.app.roleHistoryTableName,
+        credentials:  cfg.azure || {},
+        signingKey:   cfg.app.tableSigningKey,
+        monitor:      monitor.prefix('table.rolehistory'),
+      }),
+  },
+
+  ClientHistory: {
+    requires: ['cfg', 'monitor'],
+    setup: ({cfg, monitor}) =>
+      data.ClientHistory.setup({
+        table:        cfg.app.clientHistoryTableName,
+        credentials:  cfg.azure || {},
+        signingKey:   cfg.app.tableSigningKey,
+        monitor:      monitor.prefix('table.clienthistory'),
+      }),
+  },
+
+  RevokedCertificate: {
+    requires: ['cfg', 'monitor'],
+    setup: ({cfg, monitor}) =>
+      data.RevokedCertificate.setup({
+        table:        cfg.app.revokedCertificateTableName,
+        credentials:  cfg.azure || {},
+        signingKey:   cfg.app.tableSigningKey,
+        monitor:      monitor.prefix('table.revokedcertificates'),
+      }),
+  },
+
+  Lockout: {
+    requires: ['cfg', 'monitor'],
+    setup: ({cfg, monitor}) =>
+      data.Lockout.setup({
+        table:        cfg.app.lockoutTableName,
+        credentials:  cfg.azure || {},
+        signingKey:   cfg.app.tableSigningKey,
+        monitor:      monitor.prefix('table.lockouts'),
+      }),
+  },
+
   Roles: {
     requires: ['cfg'],
     setup: async ({cfg}) => {
@@ -95,6 +143,15 @@ let load = Loader({
     },
   },
 
+  RoleFreeze: {
+    requires: ['Roles'],
+    setup: async ({Roles}) => {
+      let RoleFreeze = new containers.RoleFreeze({roles: Roles});
+      await RoleFreeze.setup();
+      return RoleFreeze;
+    },
+  },
+
   validator: {
     requires: ['cfg'],
     setup: ({cfg}) => Validate({
@@ -141,16 +198,48 @@ let load = Loader({
       }),
   },
 
+  // Nonce manager for replay protection; overwrite this component to share
+  // nonces across instances using a different store
+  nonceManager: {
+    requires: ['cfg'],
+    setup: ({cfg}) => noncemanager.nonceManager({
+      size: cfg.app.nonceCacheSize,
+    }),
+  },
+
+  lockoutManager: {
+    requires: ['cfg', 'Lockout', 'monitor'],
+    setup: ({cfg, Lockout, monitor}) => new LockoutManager({
+      Lockout,
+      threshold:    cfg.app.lockoutThreshold,
+      period:       cfg.app.lockoutPeriod,
+      lockoutTime:  cfg.app.lockoutTime,
+      monitor:      monitor.prefix('lockout-manager'),
+    }),
+  },
+
+  sourceTracker: {
+    requires: [],
+    setup: () => new SourceTracker(),
+  },
+
   api: {
     requires: [
-      'cfg', 'Client', 'Roles', 'validator', 'publisher', 'resolver',
-      'sentryManager', 'monitor',
+      'cfg', 'Client', 'Roles', 'RoleFreeze', 'RoleHistory', 'ClientHistory',
+      'RevokedCertificate', 'Lockout', 'validator', 'publisher', 'resolver',
+      'sentryManager', 'nonceManager', 'lockoutManager', 'sourceTracker', 'monitor',
     ],
     setup: async ({
-      cfg, Client, Roles, validator, publisher, resolver, sentryManager, monitor,
+      cfg, Client, Roles, RoleFreeze, RoleHistory, ClientHistory, RevokedCertificate,
+      Lockout, validator, publisher, resolver, sentryManager, nonceManager,
+      lockoutManager, sourceTracker, monitor,
     }) => {
       // Set up the Azure tables
       await Client.ensureTable();
+      await RoleHistory.ensureTable();
+      await ClientHistory.ensureTable();
+      await RevokedCertificate.ensureTable();
+      await Lockout.ensureTable();
 
       // set up the root access token if necessary
       if (cfg.app.rootAccessToken) {
@@ -159,7 +248,7 @@ let load = Loader({
 
       // Load everything for resolver
       await resolver.setup({
-        Client, Roles,
+        Client, Roles, RevokedCertificate,
         exchangeReference: exchanges.reference({
           credentials:      cfg.pulse,
           exchangePrefix:   cfg.app.exchangePrefix,
@@ -167,15 +256,33 @@ let load = Loader({
         connection: new taskcluster.PulseConnection(cfg.pulse),
       });
 
+      let certificateSigningKey = certificatekeys.loadSigningKey(
+        cfg.app.certificateSigningKey);
+
       let signatureValidator = signaturevalidator.createSignatureValidator({
         expandScopes: (scopes) => resolver.resolve(scopes),
         clientLoader: (clientId) => resolver.loadClient(clientId),
+        isCertificateRevoked: (issuer, seed) => resolver.isCertificateRevoked(issuer, seed),
+        nonceManager,
+        lockoutManager,
+        bearerTokenSecret: cfg.app.bearerTokens.secret,
+        certificateKeys: certificateSigningKey ?
+          {[certificateSigningKey.kid]: certificateSigningKey.publicKey} : {},
+        allowUnknownSource: cfg.app.allowUnknownSourceIp,
         monitor,
       });
 
+      // Announce lockouts, so they can be investigated
+      lockoutManager.on('lockout', ({clientId, source, failures, lockedUntil}) => {
+        publisher.clientLockedOut({
+          clientId, source, failures,
+          lockedUntil: lockedUntil.toJSON(),
+        }).catch(err => monitor.reportError(err));
+      });
+
       return v1.setup({
         context: {
-          Client, Roles,
+          Client, Roles, RoleFreeze, RoleHistory, ClientHistory, RevokedCertificate,
           publisher,
           resolver,
           sts:                new AWS.STS(cfg.aws),
@@ -184,10 +291,17 @@ let load = Loader({
           sentryManager,
           statsum:            cfg.app.statsum,
           webhooktunnel:      cfg.app.webhooktunnel,
+          bearerTokens:       cfg.app.bearerTokens,
+          certificateSigningKey,
+          offlineBundleLifetime: cfg.app.offlineBundleLifetime,
+          staleClients:       cfg.app.staleClients,
+          maxAccessTokenGracePeriod: cfg.app.maxAccessTokenGracePeriod,
+          lockoutManager,
           monitor,
         },
         validator,
-        signatureValidator,
+        // requests to this API are validated with their source address
+        signatureValidator: sourceTracker.wrapValidator(signatureValidator),
         publish:            cfg.app.publishMetaData,
         baseUrl:            cfg.server.publicUrl + '/v1',
         referencePrefix:    'auth/v1/api.json',
@@ -199,13 +313,19 @@ let load = Loader({
   },
 
   server: {
-    requires: ['cfg', 'api', 'docs'],
-    setup: async ({cfg, api, docs}) => {
+    requires: ['cfg', 'api', 'sourceTracker', 'docs'],
+    setup: async ({cfg, api, sourceTracker, docs}) => {
       // Create app
       let serverApp = App(cfg.server);
 
+      // Behind a proxy (the Heroku router), take the source address of
+      // requests from the X-Forwarded-For header it appends
+      if (cfg.server.trustProxy) {
+        serverApp.set('trust proxy', 1);
+      }
+
       serverApp.use(morganDebug('auth-request', 'dev'));
-      serverApp.use('/v1', api);
+      serverApp.use('/v1', sourceTracker.middleware(), api);
 
       serverApp.get('/', (req, res) => {
         res.redirect(302, url.format({
@@ -251,6 +371,104 @@ let load = Loader({
     },
   },
 
+  'warn-expiring-clients': {
+    requires: ['cfg', 'Client', 'publisher', 'monitor'],
+    setup: async ({cfg, Client, publisher, monitor}) => {
+      let until = taskcluster.fromNow(cfg.app.clientExpirationWarning);
+      if (isNaN(until)) {
+        console.log('FATAL: clientExpirationWarning is not valid!');
+        process.exit(1);
+      }
+      let clients = await Client.findExpiring(until);
+      for (let client of clients) {
+        await publisher.clientExpiring({
+          clientId:     client.clientId,
+          owner:        client.owner,
+          description:  client.description,
+          expires:      client.expires.toJSON(),
+        });
+      }
+      monitor.count('expiring-clients', clients.length);
+      monitor.stopResourceMonitoring();
+      await monitor.flush();
+    },
+  },
+
+  'stale-clients': {
+    requires: ['cfg', 'Client', 'ClientHistory', 'publisher', 'monitor'],
+    setup: async ({cfg, Client, ClientHistory, publisher, monitor}) => {
+      let {unusedFor, disable, exemptPrefixes} = cfg.app.staleClients;
+      let unusedSince = taskcluster.fromNow('-' + unusedFor);
+      if (isNaN(unusedSince)) {
+        console.log('FATAL: staleClients.unusedFor is not valid!');
+        process.exit(1);
+      }
+      let clients = await Client.findStale(unusedSince, exemptPrefixes);
+      for (let client of clients) {
+        let clientId = client.clientId;
+        debug(`stale client ${clientId} last used ${client.details.lastDateUsed}` +
+          (client.disabled ? ' (disabled)' : ''));
+        if (!disable || client.disabled) {
+          continue;
+        }
+        let before = await client.disableStale(unusedSince);
+        if (!before) {
+          continue;
+        }
+        await ClientHistory.record({
+          clientId,
+          actor:      'static/taskcluster/auth',
+          operation:  'disabled',
+          before,
+          after:      Client.historyState(client),
+        });
+        await publisher.clientUpdated({clientId});
+      }
+      monitor.count('stale-clients', clients.length);
+      monitor.stopResourceMonitoring();
+      await monitor.flush();
+    },
+  },
+
+  'reenable-clients': {
+    requires: ['Client', 'ClientHistory', 'publisher', 'monitor'],
+    setup: async ({Client, ClientHistory, publisher, monitor}) => {
+      let reenabled = await Client.reenableExpired();
+      for (let {client, before} of reenabled) {
+        let clientId = client.clientId;
+        await ClientHistory.record({
+          clientId,
+          actor:      'static/taskcluster/auth',
+          operation:  'enabled',
+          before,
+          after:      Client.historyState(client),
+        });
+        await publisher.clientUpdated({clientId});
+      }
+      monitor.count('reenabled-clients', reenabled.length);
+      monitor.stopResourceMonitoring();
+      await monitor.flush();
+    },
+  },
+
+  'purge-expired-revocations': {
+    requires: ['cfg', 'RevokedCertificate', 'monitor'],
+    setup: async ({cfg, RevokedCertificate, monitor}) => {
+      await RevokedCertificate.purgeExpired();
+      monitor.stopResourceMonitoring();
+      await monitor.flush();
+    },
+  },
+
+  'purge-expired-lockouts': {
+    requires: ['cfg', 'Lockout', 'monitor'],
+    setup: async ({cfg, Lockout, monitor}) => {
+      await Lockout.purgeExpired();
+      monitor.stopResourceMonitoring();
+      await monitor.flush();
+    },
+  },
+
   dumpBlob: {
     requires: ['cfg', 'Roles'],
     setup: async ({cfg, Roles}) => {
@@ -0,0 +1,44 @@
+var ipaddr = require('ipaddr.js');
+
+/**
+ * Parse an IP address, treating IPv4-mapped IPv6 addresses as IPv4 addresses,
+ * or return null if it is not a valid address.
+ */
+var parseAddress = function(address) {
+  if (typeof address !== 'string' || !ipaddr.isValid(address)) {
+    return null;
+  }
+  var addr = ipaddr.parse(address);
+  if (addr.kind() === 'ipv6' && addr.isIPv4MappedAddress()) {
+    addr = addr.toIPv4Address();
+  }
+  return addr;
+};
+
+/** Return true if network is a valid CIDR, e.g. `10.0.0.0/8` */
+var isValidNetwork = function(network) {
+  try {
+    ipaddr.parseCIDR(network);
+    return true;
+  } catch (err) {
+    return false;
+  }
+};
+
+/**
+ * Return true if address is in any of the given networks (CIDRs).  Invalid
+ * addresses are in no network.
+ */
+var inNetworks = function(address, networks) {
+  var addr = parseAddress(address);
+  if (!addr) {
+    return false;
+  }
+  return networks.some(network => {
+    var [range, bits] = ipaddr.parseCIDR(network);
+    return range.kind() === addr.kind() && addr.match(range, bits);
+  });
+};
+
+exports.isValidNetwork = isValidNetwork;
+exports.inNetworks = inNetworks;
@@ -0,0 +1,84 @@
+const assert = require('assert');
+
+/**
+ * In-process store for nonces, remembering at most `size` nonces.  Nonces are
+ * dropped once they expire, or, if the store is full, in the order they were
+ * added.
+ *
+ * A store shared across instances must implement the same interface: `add`
+ * returns false if the key is already present and has not yet expired, and
+ * otherwise remembers the key until `expires`.
+ */
+class MemoryNonceStore {
+  constructor({size}) {
+    assert(typeof size === 'number' && size > 0, 'size must be a positive number');
+    this.size = size;
+    // Map from key to expiration time (ms since epoch), in insertion order
+    this._nonces = new Map();
+  }
+
+  async add(key, expires) {
+    let now = Date.now();
+    let existing = this._nonces.get(key);
+    if (existing !== undefined && existing >= now) {
+      return false;
+    }
+    this._nonces.delete(key);
+
+    if (this._nonces.size >= this.size) {
+      for (let [k, exp] of this._nonces) {
+        if (exp < now) {
+          this._nonces.delete(k);
+        }
+      }
+      // If still full, forget the oldest nonces
+      for (let k of this._nonces.keys()) {
+        if (this._nonces.size < this.size) {
+          break;
+        }
+        this._nonces.delete(k);
+      }
+    }
+
+    this._nonces.set(key, expires.getTime());
+    return true;
+  }
+}
+
+/**
+ * Create a nonce manager for use as `nonceManager` in
+ * `createSignatureValidator`.
+ *
+ * options:
+ * {
+ *    size:     10000,              // nonces remembered by the default store
+ *    skewSec:  15 * 60,            // timestamp skew allowed by hawk
+ *    store:    new MemoryNonceStore({size}),   // optional
+ * }
+ *
+ * The function returned has the signature
+ * `(clientId, nonce, ts, callback)`, and calls `callback` with an error if
+ * the (clientId, nonce, ts) tuple has been seen within the skew window.
+ */
+let nonceManager = function(options) {
+  options = Object.assign({skewSec: 15 * 60}, options);
+  let store = options.store || new MemoryNonceStore({size: options.size});
+
+  return function(clientId, nonce, ts, callback) {
+    // Hawk rejects timestamps outside the skew window, so there is no need
+    // to remember the nonce for longer than that
+    let expires = new Date((parseInt(ts, 10) + options.skewSec) * 1000);
+    if (isNaN(expires)) {
+      return callback(new Error('invalid timestamp'));
+    }
+    store.add(`${clientId}/${nonce}/${ts}`, expires).then(added => {
+      if (!added) {
+        return callback(new Error('nonce has already been used'));
+      }
+      callback();
+    }, callback);
+  };
+};
+
+exports.nonceManager = nonceManager;
+exports.MemoryNonceStore = MemoryNonceStore;
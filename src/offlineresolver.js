@@ -0,0 +1,126 @@
+var _               = require('lodash');
+var assert          = require('assert');
+var ScopeResolver   = require('./scoperesolver');
+var certificatekeys = require('./certificatekeys');
+
+/**
+ * Create an offline bundle, as returned by the `offlineBundle` endpoint, from
+ * a snapshot `{roles, trie}` (see `ScopeResolver.snapshot`), signed with
+ * `key` from `certificatekeys.loadSigningKey`.  The bundle is a JSON string,
+ * so that its signature is over exactly the bytes that are sent.
+ */
+var createBundle = function({roles, trie}, expires, key) {
+  let bundle = JSON.stringify({
+    version:  1,
+    created:  new Date().toJSON(),
+    expires:  expires.toJSON(),
+    roles,
+    trie,
+  });
+  return {
+    bundle,
+    kid:        key.kid,
+    signature:  certificatekeys.sign(bundle, key.secretKey),
+  };
+};
+
+/**
+ * Verify the signature of an offline bundle with one of `certificateKeys`
+ * (see `certificatekeys.fromJWKS`) and return its parsed content,
+ * `{version, created, expires, roles, trie}`, with dates as Date objects.
+ * This does not check that the bundle has not expired.
+ */
+var verifyBundle = function({bundle, kid, signature}, certificateKeys) {
+  if (!certificateKeys.hasOwnProperty(kid)) {
+    throw new Error('Offline bundle is signed with unknown key `' + kid + '`');
+  }
+  if (!certificatekeys.verify(bundle, signature, certificateKeys[kid])) {
+    throw new Error('Offline bundle signature is not valid');
+  }
+  let content = JSON.parse(bundle);
+  if (content.version !== 1) {
+    throw new Error('Unsupported offline bundle version ' + content.version);
+  }
+  content.created = new Date(content.created);
+  content.expires = new Date(content.expires);
+  return content;
+};
+
+/**
+ * OfflineResolver expands scopes locally, using an offline bundle from the
+ * `offlineBundle` endpoint, so that services need not call the auth service
+ * for every request.  The bundle is fetched again, using `fetchBundle`, only
+ * once it has expired; until then, no network access is needed.
+ *
+ * options:
+ * {
+ *    certificateKeys:  {<kid>: <publicKey>},   // see certificatekeys.fromJWKS
+ *    fetchBundle:      async () => auth.offlineBundle(),
+ *    monitor:          // an instance of taskcluster-lib-monitor
+ * }
+ *
+ * Combined with version 2 certificates, `resolve` can serve as `expandScopes`
+ * for `signaturevalidator.limitClientWithExt`.
+ */
+class OfflineResolver {
+  constructor(options) {
+    assert(options.certificateKeys, 'expected certificateKeys');
+    assert(options.fetchBundle instanceof Function, 'expected fetchBundle function');
+    assert(options.monitor, 'expected an instance of taskcluster-lib-monitor');
+    this._certificateKeys = options.certificateKeys;
+    this._fetchBundle = options.fetchBundle;
+    this._scopeResolver = new ScopeResolver({monitor: options.monitor});
+
+    // Expiration of the current bundle, and a resolver built from it
+    this._expires = null;
+    this._resolver = null;
+
+    // Promise for an ongoing refresh, if any
+    this._refreshing = null;
+  }
+
+  /** Load an offline bundle, replacing the current one if it is valid */
+  load(response) {
+    let {expires, roles, trie} = verifyBundle(response, this._certificateKeys);
+    if (expires <= new Date()) {
+      throw new Error('Offline bundle has expired');
+    }
+    this._resolver = this._scopeResolver.buildResolver(roles, trie);
+    this._expires = expires;
+  }
+
+  /** True if there is no current bundle, or it has expired */
+  isStale() {
+    return !this._expires || this._expires <= new Date();
+  }
+
+  /** Fetch and load a new bundle, sharing an ongoing fetch if any */
+  async refresh() {
+    if (!this._refreshing) {
+      this._refreshing = (async () => {
+        try {
+          this.load(await this._fetchBundle());
+        } finally {
+          this._refreshing = null;
+        }
+      })();
+    }
+    return this._refreshing;
+  }
+
+  /**
+   * Return the expanded form of `scopes`, fetching a new bundle first if the
+   * current one is stale.
+   */
+  async resolve(scopes) {
+    if (this.isStale()) {
+      await this.refresh();
+    }
+    // the resolver sorts its input in place
+    return this._resolver(_.clone(scopes));
+  }
+}
+
+module.exports = OfflineResolver;
+module.exports.createBundle = createBundle;
+module.exports.verifyBundle = verifyBundle;
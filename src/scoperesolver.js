@@ -4,8 +4,11 @@ var taskcluster = require('taskcluster-client');
 var events      = require('events');
 var LRU         = require('quick-lru');
 var debug       = require('debug')('auth:ScopeResolver');
-var {scopeCompare, mergeScopeSets, normalizeScopeSet} = require('taskcluster-lib-scopes');
+var {
+  scopeCompare, mergeScopeSets, normalizeScopeSet, satisfiesExpression,
+} = require('taskcluster-lib-scopes');
 var {generateTrie, executeTrie} = require('./trie');
+var {authError} = require('./signaturevalidator');
 
 const ASSUME_PREFIX = /^(:?(:?|a|as|ass|assu|assum|assum|assume)\*$|assume:)/;
 const PARAMETERIZED_SCOPE = /^(:?|a|as|ass|assu|assum|assum|assume|assume:.*)<\.\.>/;
@@ -36,8 +39,16 @@ class ScopeResolver extends events.EventEmitter {
     // List of client objects on the form:
     // {
     //    clientId, accessToken,
+    //    previousAccessToken:          // accessToken replaced by a rotation,
+    //                                  // or null if there is none
+    //    previousAccessTokenExpires:   // end of previousAccessToken's grace period
     //    unexpandedScopes:             // Scopes (as set in the table)
     //    disabled: true | false,       // If true, client is disabled
+    //    disableReason:                // Why the client is disabled, or ''
+    //    disabledUntil:                // When the client will be re-enabled,
+    //                                  // or null
+    //    allowedNetworks: [...],       // CIDRs the client may be used from,
+    //                                  // or empty for anywhere
     //    scopes: [...],                // Scopes (including indirect scopes)
     //    expires: new Date(),          // The client's expiration timestamp
     //    expandedScopes: [...],        // Scopes (including indirect scopes)
@@ -47,6 +58,8 @@ class ScopeResolver extends events.EventEmitter {
     // List of role objects on the form:
     // {roleId: '...', scopes: [...]}
     this._roles = [];
+    // Trie compiled from _roles by buildTrie
+    this._trie = null;
 
     // Mapping from clientId to client objects from _clients,
     // _clientCache[clientId] === this._clients[i] === {     // for some i
@@ -54,8 +67,15 @@ class ScopeResolver extends events.EventEmitter {
     // };
     this._clientCache = {};
 
+    // Mapping from `${issuer}/${seed}` of revoked certificates to the time
+    // after which the revocation is no longer needed
+    this._revokedCertificates = new Map();
+
     // Promise that we're done reloading, used to serialize reload operations
     this._reloadDone = Promise.resolve();
+
+    // Promise for a reload of roles that has not started yet, if any
+    this._rolesReloadPending = null;
   }
 
   /**
@@ -65,6 +85,7 @@ class ScopeResolver extends events.EventEmitter {
    * {
    *   Client:              // data.Client object
    *   Roles:               // data.Roles object
+   *   RevokedCertificate:  // data.RevokedCertificate object
    *   connection:          // PulseConnection object
    *   exchangeReference:   // reference for exchanges declared
    *   cacheExpiry:         // Time before clearing cache
@@ -76,11 +97,13 @@ class ScopeResolver extends events.EventEmitter {
     });
     assert(options.Client, 'Expected options.Client');
     assert(options.Roles, 'Expected options.Roles');
+    assert(options.RevokedCertificate, 'Expected options.RevokedCertificate');
     assert(options.exchangeReference, 'Expected options.exchangeReference');
     assert(options.connection instanceof taskcluster.PulseConnection,
       'Expected options.connection to be a PulseConnection object');
     this._Client        = options.Client;
     this._Roles         = options.Roles;
+    this._RevokedCertificate = options.RevokedCertificate;
     this._options       = options;
 
     // Create authEvents client
@@ -96,6 +119,10 @@ class ScopeResolver extends events.EventEmitter {
       connection:   options.connection,
       reconnect:    true,
     });
+    this._revocationListener = new taskcluster.PulseListener({
+      connection:   options.connection,
+      reconnect:    true,
+    });
 
     // listen for client events
     await this._clientListener.bind(authEvents.clientCreated());
@@ -105,6 +132,8 @@ class ScopeResolver extends events.EventEmitter {
     await this._roleListener.bind(authEvents.roleCreated());
     await this._roleListener.bind(authEvents.roleUpdated());
     await this._roleListener.bind(authEvents.roleDeleted());
+    // listen for revoked certificates
+    await this._revocationListener.bind(authEvents.certificateRevoked());
 
     // Reload when we get message
     this._clientListener.on('message', m => {
@@ -113,6 +142,9 @@ class ScopeResolver extends events.EventEmitter {
     this._roleListener.on('message', m => {
       return this.reloadRoles();
     });
+    this._revocationListener.on('message', m => {
+      this.certificateRevoked(m.payload.issuer, m.payload.seed, new Date(m.payload.expires));
+    });
 
     // Load initially
     await this.reload();
@@ -125,6 +157,7 @@ class ScopeResolver extends events.EventEmitter {
     // Start listening
     await this._clientListener.resume();
     await this._roleListener.resume();
+    await this._revocationListener.resume();
   }
 
   /** Update lastDateUsed for a clientId */
@@ -161,30 +194,45 @@ class ScopeResolver extends events.EventEmitter {
         this._clients.push({
           clientId:         client.clientId,
           accessToken:      client.accessToken,
+          previousAccessToken: client.previousAccessToken || null,
+          previousAccessTokenExpires: client.previousAccessTokenExpires,
           expires:          client.expires,
           updateLastUsed:   lastUsedDate < minLastUsed,
           unexpandedScopes: client.scopes,
           disabled:         client.disabled,
+          disableReason:    client.details.disableReason || '',
+          disabledUntil:    client.details.disabledUntil || null,
+          allowedNetworks:  client.details.allowedNetworks || [],
         });
       }
       this._rebuildResolver(this._roles, this._clients);
     });
   }
 
+  /**
+   * Reload roles; calls made before an earlier call has started reloading
+   * share its reload, so that a burst of role messages (such as from
+   * importRoles) does not reload the roles once per message.
+   */
   reloadRoles() {
-    return this._syncReload(async () => {
-      let roles = await this._Roles.get();
-      this._rebuildResolver(roles, this._clients);
-    });
+    if (!this._rolesReloadPending) {
+      this._rolesReloadPending = this._syncReload(async () => {
+        this._rolesReloadPending = null;
+        let roles = await this._Roles.get();
+        this._rebuildResolver(roles, this._clients);
+      });
+    }
+    return this._rolesReloadPending;
   }
 
   reload() {
     return this._syncReload(async () => {
       debug('Loading clients and roles');
 
-      // Load clients and roles in parallel
+      // Load clients, roles and revoked certificates in parallel
       let clients = [];
       let roles   = [];
+      let revokedCertificates = [];
       await Promise.all([
         // Load all clients on a simplified form:
         // {clientId, accessToken, updateLastUsed}
@@ -196,6 +244,8 @@ class ScopeResolver extends events.EventEmitter {
             clients.push({
               clientId:         client.clientId,
               accessToken:      client.accessToken,
+              previousAccessToken: client.previousAccessToken || null,
+              previousAccessTokenExpires: client.previousAccessTokenExpires,
               expires:          client.expires,
               // Note that lastUsedDate should be updated, if it's out-dated by
               // more than 6 hours.
@@ -203,27 +253,49 @@ class ScopeResolver extends events.EventEmitter {
               updateLastUsed:   lastUsedDate < minLastUsed,
               unexpandedScopes: client.scopes,
               disabled:         client.disabled,
+              disableReason:    client.details.disableReason || '',
+              disabledUntil:    client.details.disabledUntil || null,
+              allowedNetworks:  client.details.allowedNetworks || [],
             });
           },
         }),
         (async () => {
           roles = await this._Roles.get();
         })(),
+        this._RevokedCertificate.scan({}, {
+          handler: ({issuer, seed, expires}) => {
+            revokedCertificates.push({issuer, seed, expires});
+          },
+        }),
       ]);
 
       // Set _roles and _clients at the same time and immediately call
       // _rebuildResolver, so anyone using the cache is using a consistent one
       this._rebuildResolver(roles, clients);
+
+      // Merge revoked certificates, rather than replacing them, so that any
+      // revocation messages received during the scan are not lost
+      for (let {issuer, seed, expires} of revokedCertificates) {
+        this.certificateRevoked(issuer, seed, expires);
+      }
+      let now = new Date();
+      for (let [key, expires] of this._revokedCertificates) {
+        if (expires < now) {
+          this._revokedCertificates.delete(key);
+        }
+      }
     });
   }
 
   /** Compute fixed point over this._roles, and construct _clientCache */
   _rebuildResolver(roles, clients) {
-    this._resolver = this.buildResolver(roles);
+    let trie = this.buildTrie(roles);
+    this._resolver = this.buildResolver(roles, trie);
 
     // set this._roles, this._clients only after the resolver is successfully
     // constructed, so there are no cycles, etc.
     this._roles = roles;
+    this._trie = trie;
     this._clients = clients;
 
     // Construct client cache
@@ -308,11 +380,11 @@ class ScopeResolver extends events.EventEmitter {
   };
 
   /**
-   * Build a resolver which, given a set of scopes, will return the expanded
-   * set of scopes based on the given roles.  Roles are an array of elements
-   * {roleId, scopes}.
+   * Check the given roles for cycles and compile them into a trie, as used by
+   * buildResolver.  Roles are an array of elements {roleId, scopes}.  The
+   * trie is plain JSON, so it can be serialized.
    */
-  buildResolver(roles) {
+  buildTrie(roles) {
     this._monitor.timer('cycleCheck', () => ScopeResolver.cycleCheck(roles));
 
     // encode the roles as rules, including the `assume:` prefix, and marking up
@@ -321,7 +393,17 @@ class ScopeResolver extends events.EventEmitter {
     // the `*`)
 
     let rules = roles.map(({roleId, scopes}) => ({pattern: `assume:${roleId}`, scopes}));
-    let dfa = this._monitor.timer('generateTrie', () => generateTrie(rules));
+    return this._monitor.timer('generateTrie', () => generateTrie(rules));
+  }
+
+  /**
+   * Build a resolver which, given a set of scopes, will return the expanded
+   * set of scopes based on the given roles.  Roles are an array of elements
+   * {roleId, scopes}.  If `trie` is given, it must be the result of
+   * `buildTrie(roles)`, and is used instead of compiling the roles again.
+   */
+  buildResolver(roles, trie) {
+    let dfa = trie || this.buildTrie(roles);
 
     // LRU of resolved scope-sets, to increase probability of hits, we shall
     // omit all input scopes that doesn't match ASSUME_PREFIX (ie. match 'assume:')
@@ -426,16 +508,178 @@ class ScopeResolver extends events.EventEmitter {
     return this._resolver(scopes);
   }
 
+  /**
+   * Return the current roles, as `[{roleId, scopes}]`, along with the trie
+   * compiled from them, such that `buildResolver(roles, trie)` builds a
+   * resolver equivalent to this one.
+   */
+  snapshot() {
+    return {
+      roles:  this._roles.map(({roleId, scopes}) => ({roleId, scopes})),
+      trie:   this._trie,
+    };
+  }
+
+  /**
+   * Explain how `scope` is satisfied by the expansion of `scopes`, returning
+   * the shortest chain of expansions leading to it, or null if it is not
+   * satisfied.  The chain is a list of steps of the form
+   * {scope, roleId, parameter}, where the first step is one of the given
+   * scopes (and has no roleId), and each following step is a scope granted by
+   * role `roleId` to the scope of the step before it.  The `parameter` is the
+   * value substituted for `<..>` in the role's scopes, if any.
+   *
+   * This follows the same matching rules as the trie in buildResolver, but
+   * traverses the roles directly so that provenance can be recorded; it is
+   * intended for debugging, not for use when authorizing requests.
+   */
+  explain(scopes, scope) {
+    let satisfies = s => s === scope || s.endsWith('*') && scope.startsWith(s.slice(0, -1));
+
+    // Find the scopes that a scope expands to, each with the role that granted
+    // it and the parameter substituted, if any
+    let expand = s => {
+      let trailingStar = s.endsWith('*');
+      let prefix = trailingStar ? s.slice(0, -1) : s;
+      let result = [];
+      for (let {roleId, scopes} of this._roles) {
+        let pattern = `assume:${roleId}`;
+        let parameter;
+        if (pattern.endsWith('*') && s.startsWith(pattern.slice(0, -1))) {
+          parameter = s.slice(pattern.length - 1) || (trailingStar ? '*' : '');
+        } else if (s === pattern || trailingStar && pattern.startsWith(prefix)) {
+          parameter = trailingStar ? '*' : '';
+        } else {
+          continue;
+        }
+        const parameter_regexp = trailingStar ? PARAMETER_TO_END : PARAMETER_G;
+        for (let roleScope of scopes) {
+          if (PARAMETER.test(roleScope)) {
+            result.push({scope: roleScope.replace(parameter_regexp, parameter), roleId, parameter});
+          } else {
+            result.push({scope: roleScope, roleId});
+          }
+        }
+      }
+      return result;
+    };
+
+    // Breadth-first search from the given scopes, remembering how each scope
+    // was reached
+    let queue = scopes.map(s => ({scope: s, from: null}));
+    let seen = new Set(scopes);
+    let i = 0;
+    while (i < queue.length) {
+      let step = queue[i++];
+      if (satisfies(step.scope)) {
+        let chain = [];
+        for (let s = step; s; s = s.from) {
+          chain.unshift(_.omit(s, 'from'));
+        }
+        return chain;
+      }
+      if (!ASSUME_PREFIX.test(step.scope)) {
+        continue;
+      }
+      for (let next of expand(step.scope)) {
+        if (!seen.has(next.scope)) {
+          seen.add(next.scope);
+          next.from = step;
+          queue.push(next);
+        }
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Find the clients and roles whose expanded scopes satisfy `scope`,
+   * returning {clients: [{clientId, disabled, expires}, ...], roles: [roleId, ...]}.
+   * Disabled and expired clients are included, with their status, so that
+   * callers can tell which holders can currently use the scope.  This is
+   * answered from the cached clients and roles, so changes that have not been
+   * reloaded yet are not reflected.
+   */
+  holders(scope) {
+    let clients = this._clients.filter(client => {
+      if (client.scopes === null) {
+        let scopes = this.resolve(client.unexpandedScopes);
+        client.scopes = scopes;
+        client.expandedScopes = scopes;
+      }
+      return satisfiesExpression(client.expandedScopes, scope);
+    }).map(({clientId, disabled, expires}) => ({clientId, disabled: !!disabled, expires}));
+    let roles = this._roles.filter(({roleId}) => {
+      return satisfiesExpression(this.resolve([`assume:${roleId}`]), scope);
+    }).map(({roleId}) => roleId);
+    return {clients: _.sortBy(clients, 'clientId'), roles: roles.sort()};
+  }
+
+  /**
+   * Compare the expansions of the current roles and clients with their
+   * expansions if the roles were replaced by `roles`, where `resolve` is a
+   * resolver for `roles` as returned from buildResolver.  Returns
+   * {roles: [{roleId, added, removed}], clients: [{clientId, added, removed}]}
+   * with an entry for each role or client whose expanded scopes would change.
+   */
+  diffRoles(roles, resolve) {
+    let diff = (before, after) => ({
+      added: _.difference(after, before),
+      removed: _.difference(before, after),
+    });
+    let changed = ({added, removed}) => added.length > 0 || removed.length > 0;
+
+    let roleIds = _.union(this._roles.map(r => r.roleId), roles.map(r => r.roleId)).sort();
+    let changedRoles = roleIds.map(roleId => _.assign({roleId}, diff(
+      this.resolve([`assume:${roleId}`]),
+      resolve([`assume:${roleId}`]),
+    ))).filter(changed);
+
+    let changedClients = this._clients.map(({clientId, unexpandedScopes}) => _.assign({clientId}, diff(
+      this.resolve(_.clone(unexpandedScopes)),
+      resolve(_.clone(unexpandedScopes)),
+    ))).filter(changed);
+
+    return {roles: changedRoles, clients: _.sortBy(changedClients, 'clientId')};
+  }
+
+  /**
+   * Record that the certificate with the given issuer and seed is revoked,
+   * where `expires` is the time after which any such certificate has expired.
+   */
+  certificateRevoked(issuer, seed, expires) {
+    this._revokedCertificates.set(`${issuer}/${seed}`, expires);
+  }
+
+  /** Check if the certificate with the given issuer and seed is revoked */
+  isCertificateRevoked(issuer, seed) {
+    return this._revokedCertificates.has(`${issuer}/${seed}`);
+  }
+
   async loadClient(clientId) {
     let client = this._clientCache[clientId];
     if (!client) {
-      throw new Error('Client with clientId \'' + clientId + '\' not found');
+      throw authError('client-not-found',
+        'Client with clientId \'' + clientId + '\' not found');
     }
     if (client.disabled) {
-      throw new Error('Client with clientId \'' + clientId + '\' is disabled');
+      let message = 'Client with clientId \'' + clientId + '\' is disabled';
+      if (client.disableReason) {
+        message += ': ' + client.disableReason;
+      }
+      if (client.disabledUntil) {
+        message += ' (until ' + client.disabledUntil + ')';
+      }
+      throw authError('client-disabled', message);
     }
     if (client.expires < new Date()) {
-      throw new Error('Client with clientId: \'' + clientId + '\' has expired');
+      throw authError('client-expired',
+        'Client with clientId: \'' + clientId + '\' has expired');
+    }
+
+    // Drop the previous accessToken once its grace period has ended
+    if (client.previousAccessToken && client.previousAccessTokenExpires < new Date()) {
+      client.previousAccessToken = null;
     }
 
     // Lazily expand client scopes
@@ -10,6 +10,32 @@ var utils         = require('taskcluster-lib-scopes');
 var hoek          = require('hoek');
 var https         = require('https');
 var crypto        = require('crypto');
+var networks      = require('./networks');
+var certificatekeys = require('./certificatekeys');
+var jwt           = require('jsonwebtoken');
+var slugid        = require('slugid');
+
+/**
+ * Create an error for a failed authentication, with a `reason` code from the
+ * enum in `authenticate-hawk-response.yml`.
+ */
+var authError = function(reason, message) {
+  let err = new Error(message);
+  err.reason = reason;
+  return err;
+};
+
+/**
+ * Reason code for errors reported by hawk, given its message.
+ */
+var hawkReasons = {
+  'Bad mac':                        'bad-signature',
+  'Stale timestamp':                'stale-timestamp',
+  'Invalid nonce':                  'replayed-request',
+  'Missing required payload hash':  'bad-payload-hash',
+  'Bad payload hash':               'bad-payload-hash',
+  'Access expired':                 'bewit-expired',
+};
 
 /**
  * Limit the client scopes and possibly use temporary keys.
@@ -23,21 +49,91 @@ var parseExt = function(ext) {
   try {
     ext = JSON.parse(new Buffer(ext, 'base64').toString('utf-8'));
   } catch (err) {
-    throw new Error('Failed to parse ext');
+    throw authError('bad-ext', 'Failed to parse ext');
   }
 
   return ext;
 };
 
+/**
+ * Return the content signed by the signature of a temporary credentials
+ * certificate.  The `credentialName` is only included if the certificate has
+ * an `issuer`, and the `kid` only for version 2 certificates.
+ */
+var certificateContent = function(cert, credentialName) {
+  var sigContent = [];
+  sigContent.push('version:'    + (cert.version === 2 ? '2' : '1'));
+  if (cert.version === 2) {
+    sigContent.push('kid:'      + cert.kid);
+  }
+  if (cert.issuer) {
+    sigContent.push('clientId:' + credentialName);
+    sigContent.push('issuer:'   + cert.issuer);
+  }
+  sigContent.push('seed:'       + cert.seed);
+  sigContent.push('start:'      + cert.start);
+  sigContent.push('expiry:'     + cert.expiry);
+  sigContent.push('scopes:');
+  sigContent = sigContent.concat(cert.scopes);
+  return sigContent.join('\n');
+};
+
+/**
+ * Compute the signature of a version 1 temporary credentials certificate,
+ * signed with the `accessToken` of the issuing client.
+ */
+var certificateSignature = function(cert, credentialName, accessToken) {
+  return crypto.createHmac('sha256', accessToken)
+    .update(certificateContent(cert, credentialName))
+    .digest('base64');
+};
+
+/**
+ * Compute the signature of a version 2 temporary credentials certificate,
+ * signed with `key` from `certificatekeys.loadSigningKey`.  The certificate
+ * must have `kid` set to the id of the key.
+ */
+var signCertificate = function(cert, credentialName, key) {
+  assert(cert.version === 2 && cert.kid === key.kid,
+    'expected a version 2 certificate for key ' + key.kid);
+  return certificatekeys.sign(certificateContent(cert, credentialName), key.secretKey);
+};
+
+/**
+ * Compute the temporary accessToken for a certificate with the given `seed`,
+ * issued by a client with the given `accessToken`.
+ */
+var temporaryAccessToken = function(seed, accessToken) {
+  return crypto.createHmac('sha256', accessToken)
+    .update(seed)
+    .digest('base64')
+    .replace(/\+/g, '-')  // Replace + with - (see RFC 4648, sec. 5)
+    .replace(/\//g, '_')  // Replace / with _ (see RFC 4648, sec. 5)
+    .replace(/=/g,  '');  // Drop '==' padding
+};
+
 /**
  * Limit the client scopes and possibly use temporary keys.
  *
- * Takes a client object on the form: `{clientId, accessToken, scopes}`,
- * applies scope restrictions, certificate validation and returns a clone if
- * modified (otherwise it returns the original).
+ * Takes the `accessToken`, `scopes` and `expires` of the issuing client,
+ * applies scope restrictions and certificate validation, and returns
+ * `{scopes, expires, accessToken}` for the credentials.
+ *
+ * Version 1 certificates are signed with the issuer's `accessToken`, while
+ * version 2 certificates are signed by this service with one of the Ed25519
+ * keys in `certificateKeys`, a mapping from kid to public key (see
+ * `certificatekeys.fromJWKS`).  A version 2 certificate can be verified
+ * without the issuer's `accessToken` and `scopes`; if these are null, the
+ * checks that the issuer satisfies the certificate are skipped, as they were
+ * made when the certificate was issued.
+ *
+ * The temporary `accessToken` of either version is derived from the issuer's
+ * `accessToken`, so that only those holding it can compute the temporary
+ * `accessToken` and sign requests with it.  If the issuer's `accessToken` is
+ * null, the certificate is verified but the returned `accessToken` is null.
  */
 var limitClientWithExt = function(credentialName, issuingClientId, accessToken, scopes,
-  expires, ext, expandScopes) {
+  expires, ext, expandScopes, isCertificateRevoked, certificateKeys) {
   let issuingScopes = scopes;
   let res = {scopes, expires, accessToken};
 
@@ -46,101 +142,119 @@ var limitClientWithExt = function(credentialName, issuingClientId, accessToken,
     var cert = ext.certificate;
     // Validate the certificate
     if (!(cert instanceof Object)) {
-      throw new Error('ext.certificate must be a JSON object');
+      throw authError('bad-certificate', 'ext.certificate must be a JSON object');
     }
-    if (cert.version !== 1) {
-      throw new Error('ext.certificate.version must be 1');
+    if (cert.version !== 1 && cert.version !== 2) {
+      throw authError('bad-certificate', 'ext.certificate.version must be 1 or 2');
+    }
+    if (cert.version === 2) {
+      if (typeof cert.kid !== 'string') {
+        throw authError('bad-certificate', 'ext.certificate.kid must be a string');
+      }
+      if (!certificateKeys || !certificateKeys.hasOwnProperty(cert.kid)) {
+        throw authError('bad-certificate',
+          'ext.certificate.kid `' + cert.kid + '` is not a known key');
+      }
+    } else if (accessToken === null) {
+      throw authError('bad-certificate',
+        'ext.certificate must be version 2 to be verified without the issuer');
     }
     if (typeof cert.seed !== 'string') {
-      throw new Error('ext.certificate.seed must be a string');
+      throw authError('bad-certificate', 'ext.certificate.seed must be a string');
     }
     if (cert.seed.length !== 44) {
-      throw new Error('ext.certificate.seed must be 44 characters');
+      throw authError('bad-certificate', 'ext.certificate.seed must be 44 characters');
     }
     if (typeof cert.start !== 'number') {
-      throw new Error('ext.certificate.start must be a number');
+      throw authError('bad-certificate', 'ext.certificate.start must be a number');
     }
     if (typeof cert.expiry !== 'number') {
-      throw new Error('ext.certificate.expiry must be a number');
+      throw authError('bad-certificate', 'ext.certificate.expiry must be a number');
     }
     if (!(cert.scopes instanceof Array)) {
-      throw new Error('ext.certificate.scopes must be an array');
+      throw authError('bad-certificate', 'ext.certificate.scopes must be an array');
     }
     if (!cert.scopes.every(utils.validScope)) {
-      throw new Error('ext.certificate.scopes must be an array of valid scopes');
+      throw authError('bad-certificate',
+        'ext.certificate.scopes must be an array of valid scopes');
     }
 
     // Check start and expiry
     var now = new Date().getTime();
     if (cert.start > now + 5 * 60 * 1000) {
-      throw new Error('ext.certificate.start > now');
+      throw authError('bad-certificate', 'ext.certificate.start > now');
     }
     if (cert.expiry < now - 5 * 60 * 1000) {
-      throw new Error('ext.certificate.expiry < now');
+      throw authError('certificate-expired', 'ext.certificate.expiry < now');
     }
     // Check max time between start and expiry
     if (cert.expiry - cert.start > 31 * 24 * 60 * 60 * 1000) {
-      throw new Error('ext.certificate cannot last longer than 31 days!');
+      throw authError('bad-certificate',
+        'ext.certificate cannot last longer than 31 days!');
     }
 
     // Check clientId validity
-    if (issuingClientId !== credentialName) {
+    if (issuingClientId !== credentialName && issuingScopes) {
       let createScope = 'auth:create-client:' + credentialName;
       if (!utils.scopeMatch(issuingScopes, [[createScope]])) {
-        throw new Error('ext.certificate issuer `' + issuingClientId +
-                        '` doesn\'t have `' + createScope + '` for supplied clientId.');
+        throw authError('bad-certificate',
+          'ext.certificate issuer `' + issuingClientId +
+          '` doesn\'t have `' + createScope + '` for supplied clientId.');
       }
     } else if (cert.hasOwnProperty('clientId')) {
-      throw new Error('ext.certificate.clientId must only be used with ext.certificate.issuer');
+      throw authError('bad-certificate',
+        'ext.certificate.clientId must only be used with ext.certificate.issuer');
     }
 
     // Validate certificate scopes are subset of client
-    if (!utils.scopeMatch(scopes, [cert.scopes])) {
-      throw new Error('ext.certificate issuer `' + issuingClientId +
-                      '` doesn\'t satisfiy all certificate scopes ' +
-                      cert.scopes.join(', ') + '.  The temporary ' +
-                      'credentials were not generated correctly.');
-    }
-
-    // Generate certificate signature
-    var sigContent = [];
-    sigContent.push('version:'    + '1');
-    if (cert.issuer) {
-      sigContent.push('clientId:' + credentialName);
-      sigContent.push('issuer:'   + cert.issuer);
+    if (scopes && !utils.scopeMatch(scopes, [cert.scopes])) {
+      throw authError('bad-certificate',
+        'ext.certificate issuer `' + issuingClientId +
+        '` doesn\'t satisfiy all certificate scopes ' +
+        cert.scopes.join(', ') + '.  The temporary ' +
+        'credentials were not generated correctly.');
     }
-    sigContent.push('seed:'       + cert.seed);
-    sigContent.push('start:'      + cert.start);
-    sigContent.push('expiry:'     + cert.expiry);
-    sigContent.push('scopes:');
-    sigContent = sigContent.concat(cert.scopes);
-    var signature = crypto.createHmac('sha256', accessToken)
-      .update(sigContent.join('\n'))
-      .digest('base64');
 
     // Validate signature
-    if (typeof cert.signature !== 'string' ||
-        !crypto.timingSafeEqual(Buffer.from(cert.signature), Buffer.from(signature))) {
+    let validSignature;
+    if (typeof cert.signature !== 'string') {
+      validSignature = false;
+    } else if (cert.version === 2) {
+      validSignature = certificatekeys.verify(
+        certificateContent(cert, credentialName), cert.signature,
+        certificateKeys[cert.kid]);
+    } else {
+      let signature = certificateSignature(cert, credentialName, accessToken);
+      validSignature = signature.length === cert.signature.length &&
+        crypto.timingSafeEqual(Buffer.from(cert.signature), Buffer.from(signature));
+    }
+    if (!validSignature) {
+      let err;
       if (cert.issuer) {
-        throw new Error('ext.certificate.signature is not valid, or wrong clientId provided');
+        err = authError('bad-certificate',
+          'ext.certificate.signature is not valid, or wrong clientId provided');
       } else {
-        throw new Error('ext.certificate.signature is not valid');
+        err = authError('bad-certificate', 'ext.certificate.signature is not valid');
       }
+      // the certificate may have been signed with the previous accessToken
+      err.signatureMismatch = cert.version === 1;
+      throw err;
+    }
+
+    // Check that the certificate has not been revoked
+    if (isCertificateRevoked && isCertificateRevoked(issuingClientId, cert.seed)) {
+      throw authError('certificate-revoked', 'ext.certificate has been revoked');
     }
 
     // Regenerate temporary key
-    var temporaryKey = crypto.createHmac('sha256', accessToken)
-      .update(cert.seed)
-      .digest('base64')
-      .replace(/\+/g, '-')  // Replace + with - (see RFC 4648, sec. 5)
-      .replace(/\//g, '_')  // Replace / with _ (see RFC 4648, sec. 5)
-      .replace(/=/g,  '');  // Drop '==' padding
+    var temporaryKey = accessToken === null ? null :
+      temporaryAccessToken(cert.seed, accessToken);
 
     // Update expiration, scopes and accessToken
     res.accessToken = temporaryKey;
 
     var cert_expires = new Date(cert.expiry);
-    if (res.expires > cert_expires) {
+    if (!res.expires || res.expires > cert_expires) {
       res.expires = cert_expires;
     }
 
@@ -151,15 +265,17 @@ var limitClientWithExt = function(credentialName, issuingClientId, accessToken,
   if (ext.authorizedScopes) {
     // Validate input format
     if (!(ext.authorizedScopes instanceof Array)) {
-      throw new Error('ext.authorizedScopes must be an array');
+      throw authError('bad-authorized-scopes', 'ext.authorizedScopes must be an array');
     }
     if (!ext.authorizedScopes.every(utils.validScope)) {
-      throw new Error('ext.authorizedScopes must be an array of valid scopes');
+      throw authError('bad-authorized-scopes',
+        'ext.authorizedScopes must be an array of valid scopes');
     }
 
     // Validate authorizedScopes scopes are satisfied by client (or temp) scopes
     if (!utils.scopeMatch(res.scopes, [ext.authorizedScopes])) {
-      throw new Error('Supplied credentials do not satisfy authorizedScopes; '
+      throw authError('bad-authorized-scopes',
+        'Supplied credentials do not satisfy authorizedScopes; '
         + `credentials have scopes [${res.scopes}]; `
         + `authorizedScopes are [${[ext.authorizedScopes]}]`);
     }
@@ -171,29 +287,134 @@ var limitClientWithExt = function(credentialName, issuingClientId, accessToken,
   return res;
 };
 
+/**
+ * Issuer and audience of bearer tokens.
+ */
+var BEARER_TOKEN_ISSUER = 'taskcluster-auth';
+var BEARER_TOKEN_AUDIENCE = 'taskcluster';
+
+/**
+ * Create a bearer token (a JWT signed with `secret`) for `clientId` with the
+ * given (expanded) scopes, expiring at `expires`.  If `allowedNetworks` is
+ * non-empty, the token may only be used from those networks.
+ */
+var createBearerToken = function({clientId, scopes, expires, allowedNetworks}, secret) {
+  let payload = {
+    sub:    clientId,
+    scopes,
+    exp:    Math.floor(expires.getTime() / 1000),
+  };
+  if (allowedNetworks && allowedNetworks.length > 0) {
+    payload.networks = allowedNetworks;
+  }
+  return jwt.sign(payload, secret, {
+    algorithm:  'HS256',
+    issuer:     BEARER_TOKEN_ISSUER,
+    audience:   BEARER_TOKEN_AUDIENCE,
+    jwtid:      slugid.nice(),
+  });
+};
+
+/**
+ * Verify a bearer token created by `createBearerToken`, and return
+ * `{clientId, scopes, expires, allowedNetworks}`, or throw an error with a
+ * `reason`.
+ */
+var verifyBearerToken = function(token, secret) {
+  let payload;
+  try {
+    payload = jwt.verify(token, secret, {
+      algorithms: ['HS256'],
+      issuer:     BEARER_TOKEN_ISSUER,
+      audience:   BEARER_TOKEN_AUDIENCE,
+    });
+  } catch (err) {
+    if (err.name === 'TokenExpiredError') {
+      throw authError('bearer-token-expired', 'Bearer token has expired');
+    }
+    throw authError('bad-bearer-token', 'Bearer token is not valid: ' + err.message);
+  }
+  if (typeof payload.sub !== 'string' || typeof payload.exp !== 'number' ||
+      !(payload.scopes instanceof Array) || !payload.scopes.every(utils.validScope) ||
+      payload.networks !== undefined && !(payload.networks instanceof Array &&
+        payload.networks.every(networks.isValidNetwork))) {
+    throw authError('bad-bearer-token', 'Bearer token is not valid: malformed payload');
+  }
+  return {
+    clientId: payload.sub,
+    scopes:   payload.scopes,
+    expires:  new Date(payload.exp * 1000),
+    allowedNetworks: payload.networks || [],
+  };
+};
+
 /**
  * Make a function for the signature validation.
  *
  * options:
  * {
- *    clientLoader:   async (clientId) => {clientId, expires, accessToken, scopes},
- *    nonceManager:   nonceManager({size: ...}),
+ *    clientLoader:   async (clientId) => {clientId, expires, accessToken, scopes,
+ *                                         previousAccessToken, allowedNetworks},
+ *    nonceManager:   nonceManager({size: ...}),  // optional
+ *    lockoutManager: new LockoutManager({...}),  // optional
+ *    bearerTokenSecret: '...',                   // optional
  *    expandScopes:   (scopes) => scopes,
+ *    isCertificateRevoked: (issuer, seed) => false,  // optional
+ *    certificateKeys: {<kid>: <publicKey>},      // optional
+ *    allowUnknownSource: false,                  // optional
  *    monitor:        // an instance of taskcluster-lib-monitor
  * }
  *
  * The function returned takes an object:
- *     {method, resource, host, port, authorization}
+ *     {method, resource, host, port, authorization,
+ *      payloadHash, payload, contentType, sourceIp}
  * And returns promise for an object on one of the forms:
- *     {status: 'auth-failed', message},
+ *     {status: 'auth-failed', reason, message},
  *     {status: 'auth-success', clientId, scheme, scopes}, or
  *     {status: 'auth-success', clientId, scheme, scopes, hash}
- * where `hash` is the payload hash.
+ * where `hash` is the payload hash, and `reason` is a machine-readable code
+ * for the failure.  Errors thrown by `clientLoader` may carry a `reason`
+ * property; see `authError`.
+ *
+ * If `payloadHash` is given, the request must carry a Hawk payload hash equal
+ * to it.  Likewise, if `payload` is given the request must carry a payload
+ * hash matching the hash of `payload` with the given `contentType`.
  *
  * The `expandScopes` applies any rules that expands scopes, such as roles.
  * It is assumed that clients from `clientLoader` are returned with scopes
  * fully expanded.
  *
+ * If given, `nonceManager` (see `noncemanager.js`) is called as
+ * `(clientId, nonce, ts, callback)` for each request with an Authorization
+ * header, so that replayed requests can be rejected.
+ *
+ * If `bearerTokenSecret` is given, an `Authorization: Bearer <token>` header
+ * with a token from `createBearerToken` is accepted as well, giving a result
+ * with `scheme: 'bearer'`.
+ *
+ * If given, `lockoutManager` (see `lockoutmanager.js`) is told about every
+ * request failing with a bad signature, along with its `sourceIp`, and
+ * requests for clientIds locked out for that `sourceIp` are rejected.
+ * Requests without a `sourceIp` are neither counted nor locked out, as
+ * failures from different sources could not be told apart.
+ *
+ * If given, `isCertificateRevoked` is called with the issuing clientId and
+ * seed of any certificate, and the certificate is rejected if it returns true.
+ *
+ * Version 2 certificates are accepted if signed with one of the Ed25519 keys
+ * in `certificateKeys`; see `limitClientWithExt`.
+ *
+ * If the client has non-empty `allowedNetworks` (or a bearer token was issued
+ * to such a client), requests are only accepted if `sourceIp` is in one of
+ * those networks, and a successful result includes `allowedNetworks`.  If
+ * `sourceIp` is not given, the source cannot be checked and the request is
+ * rejected, unless `allowUnknownSource` is true; then it is accepted, and it
+ * is up to the caller to check the source against `allowedNetworks`.
+ *
+ * If the client has a `previousAccessToken` (during the grace period of an
+ * accessToken rotation), a request whose signature does not match the
+ * `accessToken` is checked against the `previousAccessToken` as well.
+ *
  * The method returned by this function works as `signatureValidator` for
  * `remoteAuthentication`.
  */
@@ -208,36 +429,55 @@ var createSignatureValidator = function(options) {
   assert(options.expandScopes instanceof Function,
     'options.expandScopes must be a function');
   assert(options.monitor, 'options.monitor must be provided');
-  var loadCredentials = function(clientId, ext, callback) {
+  var loadCredentials = function(clientId, ext, attempt, callback) {
     // We may have two clientIds here: the credentialName (the one the caller
     // sent in the Hawk Authorization header) and the issuingClientId (the one
     // that signed the temporary credentials).
     let credentialName = clientId,
       issuingClientId = clientId;
+    attempt.clientId = clientId;
 
     (async () => {
+      // reject locked out clientIds without checking their signature
+      let lockedUntil = options.lockoutManager && attempt.sourceIp !== undefined &&
+        await options.lockoutManager.lockedUntil(credentialName, attempt.sourceIp);
+      if (lockedUntil) {
+        throw authError('locked-out', 'Client with clientId \'' + credentialName +
+          '\' is locked out after repeated authentication failures until ' +
+          lockedUntil.toJSON());
+      }
+
       // extract ext.certificate.issuer, if present
       if (ext) {
         ext = parseExt(ext);
         if (ext.certificate && ext.certificate.issuer) {
           issuingClientId = ext.certificate.issuer;
           if (typeof issuingClientId !== 'string') {
-            throw new Error('ext.certificate.issuer must be a string');
+            throw authError('bad-certificate', 'ext.certificate.issuer must be a string');
           }
           if (issuingClientId == credentialName) {
-            throw new Error('ext.certificate.issuer must differ from the supplied clientId');
+            throw authError('bad-certificate',
+              'ext.certificate.issuer must differ from the supplied clientId');
           }
         }
       }
 
-      var accessToken, scopes, expires;
-      ({clientId, expires, accessToken, scopes} = await options.clientLoader(issuingClientId));
+      var accessToken, previousAccessToken, scopes, expires, allowedNetworks;
+      ({
+        clientId, expires, accessToken, previousAccessToken, scopes,
+        allowedNetworks,
+      } = await options.clientLoader(issuingClientId));
+      attempt.hasPreviousAccessToken = !!previousAccessToken;
+      if (attempt.usePrevious) {
+        accessToken = previousAccessToken;
+      }
 
       // apply restrictions based on the ext field
       if (ext) {
         ({scopes, expires, accessToken} = limitClientWithExt(
           credentialName, issuingClientId, accessToken,
-          scopes, expires, ext, options.expandScopes));
+          scopes, expires, ext, options.expandScopes, options.isCertificateRevoked,
+          options.certificateKeys));
       }
 
       callback(null, {
@@ -246,31 +486,99 @@ var createSignatureValidator = function(options) {
         clientId:  credentialName,
         expires:   expires,
         scopes:    scopes,
+        issuingClientId,
+        allowedNetworks,
       });
     })().catch(callback);
   };
+
+  // true if err may be caused by signing with the previous accessToken
+  var isSignatureMismatch = function(err) {
+    if (err.signatureMismatch) {
+      return true;
+    }
+    return !!(err.output && err.output.payload &&
+              err.output.payload.message === 'Bad mac');
+  };
+
+  // Check the payload hash against the payload (hash) given in the request,
+  // returning an error if it does not match
+  var checkPayloadHash = function(req, credentials, artifacts) {
+    if (!artifacts.hash) {
+      return authError('bad-payload-hash', 'Missing required payload hash');
+    }
+    var hash = req.payloadHash;
+    if (hash === undefined) {
+      hash = hawk.crypto.calculatePayloadHash(
+        req.payload, credentials.algorithm, req.contentType);
+    }
+    if (!hawk.server.authenticatePayloadHash(hash, artifacts)) {
+      return authError('bad-payload-hash', 'Bad payload hash');
+    }
+    return null;
+  };
+
+  // Authenticate a bearer token, calling callback like hawk does
+  var authenticateBearer = function(authorization, callback) {
+    if (!options.bearerTokenSecret) {
+      return callback(authError('bad-header', 'Bearer tokens are not supported'), null, {});
+    }
+    let credentials;
+    try {
+      credentials = verifyBearerToken(
+        authorization.replace(/^bearer\s+/i, ''), options.bearerTokenSecret);
+    } catch (err) {
+      return callback(err, null, {});
+    }
+    credentials.scheme = 'bearer';
+    callback(null, credentials, {});
+  };
+
   return function(req) {
     return new Promise(function(accept) {
       var authenticated = function(err, credentials, artifacts) {
         var result = null;
+        if (!err && (req.payloadHash !== undefined || req.payload !== undefined)) {
+          err = checkPayloadHash(req, credentials, artifacts);
+        }
+        // Check the source of the request, if the client is restricted and
+        // the source is known
+        let restricted = !err && credentials.allowedNetworks &&
+          credentials.allowedNetworks.length > 0;
+        if (restricted && req.sourceIp === undefined) {
+          options.monitor.count('source-ip-unknown', 1);
+          if (!options.allowUnknownSource) {
+            err = authError('source-not-allowed', 'Client with clientId \'' +
+              (credentials.issuingClientId || credentials.clientId) +
+              '\' cannot be used from an unknown source');
+          }
+        } else if (restricted && !networks.inNetworks(req.sourceIp, credentials.allowedNetworks)) {
+          err = authError('source-not-allowed', 'Client with clientId \'' +
+            (credentials.issuingClientId || credentials.clientId) +
+            '\' cannot be used from ' + req.sourceIp);
+        }
         if (err) {
           var message = 'Unknown authorization error';
+          var reason = err.reason || 'unknown';
           if (err.output && err.output.payload && err.output.payload.error) {
             message = err.output.payload.error;
             if (err.output.payload.message) {
               message += ': ' + err.output.payload.message;
             }
+            // errors from hawk itself
+            reason = hawkReasons[err.output.payload.message] || 'bad-header';
           } else if (err.message) {
             message = err.message;
           }
           result = {
             status:   'auth-failed',
+            reason,
             message:  '' + message,
           };
         } else {
           result = {
             status:   'auth-success',
-            scheme:   'hawk',
+            scheme:   credentials.scheme || 'hawk',
             expires:  credentials.expires,
             scopes:   credentials.scopes,
             clientId: credentials.clientId,
@@ -278,6 +586,9 @@ var createSignatureValidator = function(options) {
           if (artifacts.hash) {
             result.hash = artifacts.hash;
           }
+          if (restricted) {
+            result.allowedNetworks = credentials.allowedNetworks;
+          }
         }
         options.monitor.log({
           event: 'signature-validation',
@@ -296,70 +607,104 @@ var createSignatureValidator = function(options) {
         });
         return accept(result);
       };
-      if (req.authorization) {
-        hawk.server.authenticate({
-          method:           req.method.toUpperCase(),
-          url:              req.resource,
-          host:             req.host,
-          port:             req.port,
-          authorization:    req.authorization,
-        }, function(clientId, callback) {
-          var ext = undefined;
-
-          // Parse authorization header for ext
-          var attrs = hawk.utils.parseAuthorizationHeader(
-            req.authorization
-          );
-          // Extra ext
-          if (!(attrs instanceof Error)) {
-            ext = attrs.ext;
+
+      var authenticate = function(usePrevious) {
+        var attempt = {usePrevious, hasPreviousAccessToken: false, sourceIp: req.sourceIp};
+        var callback = function(err, credentials, artifacts) {
+          // During an accessToken rotation, try again with the previous one
+          if (err && !usePrevious && attempt.hasPreviousAccessToken &&
+              isSignatureMismatch(err)) {
+            return authenticate(true);
+          }
+          // Count failed signatures towards a lockout
+          if (err && options.lockoutManager && attempt.clientId &&
+              req.sourceIp !== undefined && isSignatureMismatch(err)) {
+            return options.lockoutManager.recordFailure(attempt.clientId, req.sourceIp)
+              .catch(e => options.monitor.reportError(e))
+              .then(() => authenticated(err, credentials, artifacts));
           }
+          authenticated(err, credentials, artifacts);
+        };
 
-          // Get credentials with ext
-          loadCredentials(clientId, ext, callback);
-        }, {
-          // Not sure if JSON stringify is not deterministic by specification.
-          // I suspect not, so we'll postpone this till we're sure we want to do
-          // payload validation and how we want to do it.
-          //payload:      JSON.stringify(req.body),
-
-          // We found that clients often have time skew (particularly on OSX)
-          // since all our services require https we hardcode the allowed skew
-          // to a very high number (15 min) similar to AWS.
-          timestampSkewSec: 15 * 60,
-
-          // Provide nonce manager
-          nonceFunc:    options.nonceManager,
-        }, authenticated);
-      } else {
-      // If there is no authorization header we'll attempt a login with bewit
-        hawk.uri.authenticate({
-          method:           req.method.toUpperCase(),
-          url:              req.resource,
-          host:             req.host,
-          port:             req.port,
-        }, function(clientId, callback) {
-          var ext = undefined;
-
-          // Get bewit string (stolen from hawk)
-          var parts = req.resource.match(
-            /^(\/.*)([\?&])bewit\=([^&$]*)(?:&(.+))?$/
-          );
-          var bewitString = hoek.base64urlDecode(parts[3]);
-          if (!(bewitString instanceof Error)) {
-            // Split string as hawk does it
-            var parts = bewitString.split('\\');
-            if (parts.length === 4 && parts[3]) {
-              ext = parts[3];
+        if (req.authorization) {
+          // clientId from the Authorization header, for the nonce manager
+          var headerClientId;
+          hawk.server.authenticate({
+            method:           req.method.toUpperCase(),
+            url:              req.resource,
+            host:             req.host,
+            port:             req.port,
+            authorization:    req.authorization,
+          }, function(clientId, callback) {
+            var ext = undefined;
+            headerClientId = clientId;
+
+            // Parse authorization header for ext
+            var attrs = hawk.utils.parseAuthorizationHeader(
+              req.authorization
+            );
+            // Extra ext
+            if (!(attrs instanceof Error)) {
+              ext = attrs.ext;
             }
-          }
 
-          // Get credentials with ext
-          loadCredentials(clientId, ext, callback);
-        }, {}, authenticated);
+            // Get credentials with ext
+            loadCredentials(clientId, ext, attempt, callback);
+          }, {
+            // The payload hash, if requested, is checked once authenticated
+
+            // We found that clients often have time skew (particularly on OSX)
+            // since all our services require https we hardcode the allowed skew
+            // to a very high number (15 min) similar to AWS.
+            timestampSkewSec: 15 * 60,
+
+            // Provide nonce manager, if any
+            nonceFunc:    options.nonceManager && ((nonce, ts, callback) =>
+              options.nonceManager(headerClientId, nonce, ts, callback)),
+          }, callback);
+        } else {
+        // If there is no authorization header we'll attempt a login with bewit
+          hawk.uri.authenticate({
+            method:           req.method.toUpperCase(),
+            url:              req.resource,
+            host:             req.host,
+            port:             req.port,
+          }, function(clientId, callback) {
+            var ext = undefined;
+
+            // Get bewit string (stolen from hawk)
+            var parts = req.resource.match(
+              /^(\/.*)([\?&])bewit\=([^&$]*)(?:&(.+))?$/
+            );
+            var bewitString = hoek.base64urlDecode(parts[3]);
+            if (!(bewitString instanceof Error)) {
+              // Split string as hawk does it
+              var parts = bewitString.split('\\');
+              if (parts.length === 4 && parts[3]) {
+                ext = parts[3];
+              }
+            }
+
+            // Get credentials with ext
+            loadCredentials(clientId, ext, attempt, callback);
+          }, {}, callback);
+        }
+      };
+
+      if (req.authorization && /^bearer\s/i.test(req.authorization)) {
+        authenticateBearer(req.authorization, authenticated);
+      } else {
+        authenticate(false);
       }
     });
   };
 };
 
 exports.createSignatureValidator = createSignatureValidator;
+exports.certificateSignature = certificateSignature;
+exports.signCertificate = signCertificate;
+exports.limitClientWithExt = limitClientWithExt;
+exports.temporaryAccessToken = temporaryAccessToken;
+exports.authError = authError;
+exports.createBearerToken = createBearerToken;
+exports.verifyBearerToken = verifyBearerToken;
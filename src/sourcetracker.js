@@ -0,0 +1,83 @@
+const assert = require('assert');
+
+/**
+ * taskcluster-lib-api calls the signature validator of an API with only the
+ * method, resource, host, port and Authorization header of a request, not
+ * its source address, so the `allowedNetworks` of clients could not be
+ * checked for requests to this service's own API.
+ *
+ * SourceTracker fills that gap: its `middleware` remembers the requests in
+ * flight, keyed by method, resource and Authorization header, and a validator
+ * wrapped with `wrapValidator` looks up the request(s) matching its input and
+ * validates with their `req.ip` as `sourceIp`.  If several requests with the
+ * same key are in flight from different addresses (a replayed Hawk header, or
+ * a bearer token used from several hosts at once), the input is validated for
+ * each of those addresses, and must be accepted from all of them.
+ *
+ * On success, `req.allowedNetworks` is set to the networks the credentials
+ * are restricted to (empty if not restricted), for API methods that issue new
+ * credentials.
+ */
+class SourceTracker {
+  constructor() {
+    // Map from key to the requests with that key in flight
+    this._requests = new Map();
+  }
+
+  _key(method, resource, authorization) {
+    return [method.toLowerCase(), resource, authorization || ''].join('\n');
+  }
+
+  /** Express middleware tracking requests until their response is done */
+  middleware() {
+    return (req, res, next) => {
+      let key = this._key(req.method, req.originalUrl, req.headers.authorization);
+      let requests = this._requests.get(key) || [];
+      requests.push(req);
+      this._requests.set(key, requests);
+
+      let done = false;
+      let untrack = () => {
+        if (done) {
+          return;
+        }
+        done = true;
+        let requests = this._requests.get(key).filter(r => r !== req);
+        if (requests.length > 0) {
+          this._requests.set(key, requests);
+        } else {
+          this._requests.delete(key);
+        }
+      };
+      res.once('finish', untrack);
+      res.once('close', untrack);
+      next();
+    };
+  }
+
+  /** Wrap a signature validator, adding `sourceIp` to its input */
+  wrapValidator(validator) {
+    assert(validator instanceof Function, 'validator must be a function');
+    return async input => {
+      let key = this._key(input.method, input.resource, input.authorization);
+      let requests = this._requests.get(key) || [];
+      let sourceIps = Array.from(new Set(requests.map(req => req.ip)));
+      if (sourceIps.length === 0) {
+        return validator(input);
+      }
+      let result;
+      for (let sourceIp of sourceIps) {
+        result = await validator(Object.assign({}, input, {sourceIp}));
+        if (result.status !== 'auth-success') {
+          return result;
+        }
+      }
+      for (let req of requests) {
+        req.allowedNetworks = result.allowedNetworks || [];
+      }
+      return result;
+    };
+  }
+}
+
+module.exports = SourceTracker;
@@ -5,17 +5,103 @@ var scopeUtils  = require('taskcluster-lib-scopes');
 var slugid      = require('slugid');
 var Promise     = require('promise');
 var _           = require('lodash');
+var Entity      = require('azure-entities');
+var taskcluster = require('taskcluster-client');
 var signaturevalidator = require('./signaturevalidator');
 let ScopeResolver      = require('./scoperesolver');
+let networks           = require('./networks');
+let certificatekeys    = require('./certificatekeys');
+let OfflineResolver    = require('./offlineresolver');
+let {Roles}            = require('./containers');
+
+// Largest number of table scans made by listClients to fill a page
+const LIST_CLIENTS_MAX_SCANS = 10;
+
+/**
+ * Helper to return a role as defined in the blob to one suitable for return,
+ * without its expanded scopes.
+ */
+const roleSummaryToJson = role => ({
+  roleId:       role.roleId,
+  scopes:       role.scopes,
+  description:  role.description,
+  created:      role.created,
+  lastModified: role.lastModified,
+  etag:         Roles.etag(role),
+});
 
 /**
  * Helper to return a role as defined in the blob to one suitable for return.
  * This involves adding expandedRoles using the resolver.
  */
-const roleToJson = (role, context) => _.defaults(
-  {expandedScopes: context.resolver.resolve([`assume:${role.roleId}`])},
-  role
-);
+const roleToJson = (role, context) => _.assign(roleSummaryToJson(role), {
+  expandedScopes: context.resolver.resolve([`assume:${role.roleId}`]),
+});
+
+/**
+ * Get the etag the caller expects a client or role to have, from the
+ * `If-Match` header or the `ifMatch` query parameter.  Returns undefined if
+ * neither is given, or if any etag is acceptable (`If-Match: *`).
+ */
+const expectedEtag = req => {
+  let etag = req.headers['if-match'] || req.query.ifMatch;
+  if (!etag || etag === '*') {
+    return undefined;
+  }
+  // strip the quotes (and weakness indicator) of an HTTP entity-tag
+  return etag.replace(/^(W\/)?"(.*)"$/, '$2');
+};
+
+/**
+ * If role modifications are frozen, report an error with `reportError` and
+ * throw the error it returns.  This is called in the modifier given to
+ * `Roles.modify`, which is called again if the roles were modified
+ * concurrently; as `freezeRoles` rewrites the roles, a modification that
+ * started before the freeze cannot complete after it.
+ */
+const checkRolesNotFrozen = async (context, reportError) => {
+  let freeze = await context.RoleFreeze.get();
+  if (freeze) {
+    throw reportError('InputError',
+      'Roles are frozen by {{clientId}}: {{reason}}',
+      _.pick(freeze, ['reason', 'clientId', 'expires']));
+  }
+};
+
+/**
+ * If any of `allowedNetworks` is not a valid CIDR, report an error and return
+ * true.
+ */
+const reportInvalidNetworks = (allowedNetworks, res) => {
+  let invalid = allowedNetworks.filter(network => !networks.isValidNetwork(network));
+  if (invalid.length === 0) {
+    return false;
+  }
+  res.reportError('InputError',
+    'allowedNetworks must be networks in CIDR notation; invalid: {{invalid}}',
+    {invalid: invalid.join(', ')});
+  return true;
+};
+
+/**
+ * Get the JSON representation of `role` as it would be if the current roles
+ * were replaced by `roles`, with a `dryRun` property describing how the
+ * expansions of this role and any other roles and clients would change.
+ */
+const roleDryRunToJson = (role, roles, context) => {
+  let resolve = context.resolver.buildResolver(roles);
+  let changes = context.resolver.diffRoles(roles, resolve);
+  let own = _.find(changes.roles, {roleId: role.roleId}) || {added: [], removed: []};
+  return _.assign(roleSummaryToJson(role), {
+    expandedScopes: resolve([`assume:${role.roleId}`]),
+    dryRun: {
+      expandedScopesAdded:    own.added,
+      expandedScopesRemoved:  own.removed,
+      roles:                  changes.roles.filter(r => r.roleId !== role.roleId),
+      clients:                changes.clients,
+    },
+  });
+};
 
 /** API end-point for version v1/ */
 var api = new API({
@@ -66,6 +152,7 @@ var api = new API({
     // Patterns for auth
     clientId:   /^[A-Za-z0-9@\/:._-]+$/,
     roleId:     /^[\x20-\x7e]+$/,
+    seed:       /^[A-Za-z0-9_-]{44}$/,
 
     // Patterns for Azure
     account:    /^[a-z0-9]{3,24}$/,
@@ -83,7 +170,7 @@ var api = new API({
   },
   context: [
     // Instances of data tables
-    'Client', 'Roles',
+    'Client', 'Roles', 'RoleFreeze', 'RoleHistory', 'ClientHistory', 'RevokedCertificate',
 
     // Publisher from exchanges.js
     'publisher',
@@ -106,6 +193,25 @@ var api = new API({
     // Statsum configuration {secret, baseUrl}
     'statsum',
 
+    // Longest gracePeriod allowed when resetting an accessToken
+    'maxAccessTokenGracePeriod',
+
+    // LockoutManager instance used by signatureValidator
+    'lockoutManager',
+
+    // Bearer token configuration: {secret, maxLifetime, defaultLifetime}
+    'bearerTokens',
+
+    // Key signing version 2 certificates, from certificatekeys.loadSigningKey
+    // (null if not configured)
+    'certificateSigningKey',
+
+    // Lifetime of offline bundles
+    'offlineBundleLifetime',
+
+    // Stale client configuration: {unusedFor, disable, exemptPrefixes}
+    'staleClients',
+
     // A tc-lib-monitor for use beyond the lib-api level
     'monitor',
   ],
@@ -120,6 +226,10 @@ api.declare({
   route:      '/clients/',
   query: {
     prefix: /^[A-Za-z0-9@/:._-]+$/,
+    owner: /^.+$/,
+    tag: /^[A-Za-z0-9._-]+:.*$/,
+    continuationToken: /^[^~]*~[^~]*$/,
+    limit: /^[1-9][0-9]*$/,
   },
   name:       'listClients',
   input:      undefined,
@@ -128,23 +238,102 @@ api.declare({
   title:      'List Clients',
   description: [
     'Get a list of all clients.  With `prefix`, only clients for which',
-    'it is a prefix of the clientId are returned.',
+    'it is a prefix of the clientId are returned.  With `owner`, only clients',
+    'with that owner are returned, and with `tag` (given as `<name>:<value>`)',
+    'only clients having that tag with that value are returned.',
+    '',
+    'By default this end-point returns up to 1000 clients in one request,',
+    'or up to `limit` clients.  Clients not matching `owner` or `tag` are',
+    'filtered out after they are read, and only a limited number of clients',
+    'are read in one request, so this **may return less, even none**.  It',
+    'may also return a `continuationToken` even though there are no more',
+    'results.  However, you can only be sure to have seen all results if you',
+    'keep calling `listClients` with the last `continuationToken` until you',
+    'get a result without a `continuationToken`.',
   ].join('\n'),
 }, async function(req, res) {
   let prefix = req.query.prefix;
+  let owner = req.query.owner;
+  let tag = req.query.tag && req.query.tag.match(/^([^:]+):(.*)$/);
+  let continuation = req.query.continuationToken;
+  let limit = Math.min(parseInt(req.query.limit || 1000, 10), 1000);
+
+  let conditions = {};
+  if (owner) {
+    conditions.owner = Entity.op.equal(owner);
+  }
+  // Keep scanning until the page is full, as the filters may leave out any
+  // number of the clients read, but for at most LIST_CLIENTS_MAX_SCANS scans,
+  // so that a single request does not read the whole table; each scan reads
+  // only as many clients as are missing from the page, so that the
+  // continuation token follows the last client read
+  let result = {clients: []};
+  let scans = 0;
+  do {
+    let options = {continuation, limit: limit - result.clients.length};
+    // With a prefix, azure reads only the range of clients with that prefix
+    let data = prefix ?
+      await this.Client.scanPrefix(prefix, conditions, options) :
+      await this.Client.scan(conditions, options);
+    result.clients = result.clients.concat(data.entries
+      .filter(client => !tag || client.tags[tag[1]] === tag[2])
+      .map(client => client.json(this.resolver)));
+    continuation = data.continuation;
+    scans += 1;
+  } while (continuation && result.clients.length < limit && scans < LIST_CLIENTS_MAX_SCANS);
+
+  if (continuation) {
+    result.continuationToken = continuation;
+  }
+  res.reply(result);
+});
 
-  // Load all clients
-  // TODO: as we acquire more clients, perform the prefix filtering in Azure
-  let clients = [];
-  await this.Client.scan({}, {
-    handler: client => {
-      if (!prefix || client.clientId.startsWith(prefix)) {
-        clients.push(client.json(this.resolver));
-      }
-    },
-  });
+/** List stale clients */
+api.declare({
+  method:     'get',
+  route:      '/stale-clients/',
+  query: {
+    unusedFor: /^[0-9]+ *(d|days?|h|hours?)$/,
+    continuationToken: /^[^~]*~[^~]*$/,
+    limit: /^[1-9][0-9]*$/,
+  },
+  name:       'listStaleClients',
+  input:      undefined,
+  output:     'list-clients-response.json#',
+  stability:  'experimental',
+  title:      'List Stale Clients',
+  description: [
+    'Get a list of clients that have not been used for longer than',
+    '`unusedFor` (such as `90 days`), which defaults to the period configured',
+    'for this service.  Clients whose clientId starts with one of the exempt',
+    'prefixes configured for this service (such as `static/`) are never',
+    'listed.  Note that the time a client was last used is only updated every',
+    'few hours, so short periods are not meaningful.',
+    '',
+    'By default this end-point will try to return up to 1000 clients in one',
+    'request. But it **may return less, even none**.',
+    'It may also return a `continuationToken` even though there are no more',
+    'results. However, you can only be sure to have seen all results if you',
+    'keep calling `listStaleClients` with the last `continuationToken` until',
+    'you get a result without a `continuationToken`.',
+  ].join('\n'),
+}, async function(req, res) {
+  let unusedFor = req.query.unusedFor || this.staleClients.unusedFor;
+  let unusedSince = taskcluster.fromNow('-' + unusedFor);
+  let continuation = req.query.continuationToken;
+  let limit = Math.min(parseInt(req.query.limit || 1000, 10), 1000);
+
+  let data = await this.Client.scan({}, {continuation, limit});
 
-  res.reply(clients);
+  let result = {
+    clients: data.entries
+      .filter(client => client.isStale(unusedSince, this.staleClients.exemptPrefixes))
+      .map(client => client.json(this.resolver)),
+  };
+  if (data.continuation) {
+    result.continuationToken = data.continuation;
+  }
+  res.reply(result);
 });
 
 /** Get client */
@@ -157,7 +346,8 @@ api.declare({
   output:     'get-client-response.json#',
   title:      'Get Client',
   description: [
-    'Get information about a single client.',
+    'Get information about a single client.  The `etag` of the client is',
+    'also given in the `ETag` header; see `updateClient`.',
   ].join('\n'),
 }, async function(req, res) {
   let clientId = req.params.clientId;
@@ -169,7 +359,9 @@ api.declare({
     return res.reportError('ResourceNotFound', 'Client not found', {});
   }
 
-  res.reply(client.json(this.resolver));
+  let result = client.json(this.resolver);
+  res.set('ETag', `"${result.etag}"`);
+  res.reply(result);
 });
 
 /** Create client */
@@ -205,11 +397,19 @@ api.declare({
   let clientId  = req.params.clientId;
   let input     = req.body;
   let scopes    = input.scopes || [];
+  let allowedNetworks = input.allowedNetworks || [];
+  let owner     = input.owner || '';
+  let tags      = input.tags || {};
 
   // Check scopes
   await req.authorize({clientId, scopes});
 
+  if (reportInvalidNetworks(allowedNetworks, res)) {
+    return;
+  }
+
   var accessToken = slugid.v4() + slugid.v4();
+  let created = true;
   let client = await this.Client.create({
     clientId:     clientId,
     description:  input.description,
@@ -217,12 +417,17 @@ api.declare({
     expires:      new Date(input.expires),
     scopes:       scopes,
     disabled:     0,
+    previousAccessToken:        '',
+    previousAccessTokenExpires: new Date(0),
+    owner,
+    tags,
     details: {
       created:      new Date().toJSON(),
       lastModified: new Date().toJSON(),
       lastDateUsed: new Date().toJSON(),
       lastRotated:  new Date().toJSON(),
       deleteOnExpiration: !!input.deleteOnExpiration,
+      allowedNetworks,
     },
   }).catch(async (err) => {
     // Only handle
@@ -232,14 +437,18 @@ api.declare({
 
     // Load client
     let client = await this.Client.load({clientId});
+    created = false;
 
     // If stored client different or older than 15 min we return 409
-    let created = new Date(client.details.created).getTime();
+    let createdTime = new Date(client.details.created).getTime();
     if (client.description !== input.description ||
         client.expires.getTime() !== new Date(input.expires).getTime() ||
         !_.isEqual(client.scopes, scopes) ||
+        !_.isEqual(client.details.allowedNetworks || [], allowedNetworks) ||
+        client.owner !== owner ||
+        !_.isEqual(client.tags, tags) ||
         client.disabled !== 0 ||
-        created > Date.now() - 15 * 60 * 1000) {
+        createdTime < Date.now() - 15 * 60 * 1000) {
       return res.reportError('RequestConflict',
         'client with same clientId already exists, possibly an issue with retry logic or idempotency',
         {});
@@ -253,6 +462,17 @@ api.declare({
     return;
   }
 
+  // Record the change, unless this was an idempotent re-creation
+  if (created) {
+    await this.ClientHistory.record({
+      clientId,
+      actor:      await req.clientId(),
+      operation:  'created',
+      before:     null,
+      after:      this.Client.historyState(client),
+    });
+  }
+
   // Send pulse message
   await Promise.all([
     this.publisher.clientCreated({clientId}),
@@ -269,6 +489,9 @@ api.declare({
 api.declare({
   method:     'post',
   route:      '/clients/:clientId/reset',
+  query: {
+    gracePeriod: /^[0-9]+ *(d|days?|h|hours?|m|min|minutes?)$/,
+  },
   name:       'resetAccessToken',
   input:      undefined,
   output:     'create-client-response.json#',
@@ -282,26 +505,55 @@ api.declare({
     '',
     'There is no way to retrieve an existing `accessToken`, so if you loose it',
     'you must reset the accessToken to acquire it again.',
+    '',
+    'To rotate the `accessToken` without interrupting running users of the',
+    'client, give a `gracePeriod` such as `2 hours`.  The existing',
+    '`accessToken` then remains valid alongside the new one until the grace',
+    'period ends, after which it is dropped.  Only the `accessToken` replaced',
+    'by the most recent reset is kept.  The grace period cannot be longer than',
+    'the maximum configured for this service.',
   ].join('\n'),
 }, async function(req, res) {
   let clientId  = req.params.clientId;
-  let input     = req.body;
+  let gracePeriod = req.query.gracePeriod;
 
   // Check scopes
   await req.authorize({clientId});
 
+  let previousAccessTokenExpires = new Date(0);
+  if (gracePeriod) {
+    previousAccessTokenExpires = taskcluster.fromNow(gracePeriod);
+    if (previousAccessTokenExpires > taskcluster.fromNow(this.maxAccessTokenGracePeriod)) {
+      return res.reportError('InputError',
+        'gracePeriod cannot be longer than {{maxAccessTokenGracePeriod}}',
+        {maxAccessTokenGracePeriod: this.maxAccessTokenGracePeriod});
+    }
+  }
+
   // Load client
   let client = await this.Client.load({clientId}, true);
   if (!client) {
     return res.reportError('ResourceNotFound', 'Client not found', {});
   }
 
-  // Reset accessToken
+  // Reset accessToken, keeping the current one around if rotating
+  let before;
   await client.modify(client => {
+    before = this.Client.historyState(client);
+    client.previousAccessToken = gracePeriod ? client.accessToken : '';
+    client.previousAccessTokenExpires = previousAccessTokenExpires;
     client.accessToken = slugid.v4() + slugid.v4();
     client.details.lastRotated = new Date().toJSON();
   });
 
+  await this.ClientHistory.record({
+    clientId,
+    actor:      await req.clientId(),
+    operation:  'reset-access-token',
+    before,
+    after:      this.Client.historyState(client),
+  });
+
   // Publish message on pulse to clear caches...
   await Promise.all([
     this.publisher.clientUpdated({clientId}),
@@ -314,10 +566,232 @@ api.declare({
   return res.reply(result);
 });
 
+/** Create temporary credentials */
+api.declare({
+  method:     'post',
+  route:      '/clients/:clientId/temporary-credentials',
+  name:       'createTemporaryCredentials',
+  input:      'create-temporary-credentials-request.json#',
+  output:     'temporary-credentials-response.json#',
+  scopes: {
+    AllOf: [
+      'auth:create-temporary-credentials:<clientId>',
+      {for: 'scope', in: 'scopes', each: '<scope>'},
+    ],
+  },
+  stability:  'experimental',
+  title:      'Create Temporary Credentials',
+  description: [
+    'Create temporary credentials issued by the client `clientId`, with the',
+    'given scopes, valid from `start` until `expiry`.  The response contains',
+    'the signed certificate and temporary `accessToken`, so callers need not',
+    'construct the certificate themselves.',
+    '',
+    'The caller must have `auth:create-temporary-credentials:<clientId>` and',
+    'must satisfy all of the given scopes.  The issuing client must also',
+    'satisfy all of the given scopes, and if a `clientId` is given in the',
+    'request, the issuing client must have `auth:create-client:<clientId>`',
+    'for it, and it must differ from the issuing client.  The issuing client',
+    'must be neither disabled nor expired.',
+    '',
+    'By default, the certificate is a version 1 certificate, signed with the',
+    '`accessToken` of the issuing client.  If `version` is 2, the certificate',
+    'is instead signed with the Ed25519 key of this service, published by',
+    '`certificateKeys`, so that services can verify the certificate without',
+    'calling this service.  For either version, the temporary `accessToken`',
+    'is derived from the `accessToken` of the issuing client, so it cannot be',
+    'computed from the certificate alone.',
+  ].join('\n'),
+}, async function(req, res) {
+  let clientId  = req.params.clientId;
+  let input     = req.body;
+  let scopes    = input.scopes;
+  let start     = input.start ? new Date(input.start) : taskcluster.fromNow('-5 minutes');
+  let expiry    = new Date(input.expiry);
+  let version   = input.version || 1;
+
+  await req.authorize({clientId, scopes});
+
+  // The validator does not accept named credentials issued by the client
+  // they are named for
+  if (input.clientId === clientId) {
+    return res.reportError('InputError',
+      'clientId must differ from the issuing client {{clientId}}',
+      {clientId});
+  }
+
+  if (version === 2 && !this.certificateSigningKey) {
+    return res.reportError('InputError',
+      'Version 2 certificates are not supported', {});
+  }
+
+  // These limits are the same as those applied when validating certificates
+  if (start > taskcluster.fromNow('5 minutes')) {
+    return res.reportError('InputError', 'start cannot be in the future', {});
+  }
+  if (expiry <= new Date()) {
+    return res.reportError('InputError', 'expiry must be in the future', {});
+  }
+  if (expiry - start > 31 * 24 * 60 * 60 * 1000) {
+    return res.reportError('InputError',
+      'Temporary credentials cannot last longer than 31 days', {});
+  }
+
+  let client = await this.Client.load({clientId}, true);
+  if (!client) {
+    return res.reportError('ResourceNotFound', 'Client not found', {});
+  }
+  if (client.disabled) {
+    return res.reportError('InputError', 'Client is disabled', {});
+  }
+  if (client.expires < new Date()) {
+    return res.reportError('InputError', 'Client has expired', {});
+  }
+
+  // Check that the temporary credentials will be usable
+  let clientScopes = client.expandedScopes(this.resolver);
+  if (!scopeUtils.scopeMatch(clientScopes, [scopes])) {
+    return res.reportError('InputError',
+      'Client {{clientId}} does not satisfy all of the given scopes',
+      {clientId});
+  }
+  let credentialName = input.clientId || clientId;
+  if (input.clientId && !scopeUtils.scopeMatch(clientScopes, [['auth:create-client:' + input.clientId]])) {
+    return res.reportError('InputError',
+      'Client {{clientId}} does not have auth:create-client:{{name}}',
+      {clientId, name: input.clientId});
+  }
+
+  let cert = {
+    version,
+    scopes:     _.clone(scopes),
+    start:      start.getTime(),
+    expiry:     expiry.getTime(),
+    seed:       slugid.v4() + slugid.v4(),
+    signature:  null,
+  };
+  if (input.clientId) {
+    cert.issuer = clientId;
+  }
+  if (version === 2) {
+    cert.kid = this.certificateSigningKey.kid;
+    cert.signature = signaturevalidator.signCertificate(
+      cert, credentialName, this.certificateSigningKey);
+  } else {
+    cert.signature = signaturevalidator.certificateSignature(
+      cert, credentialName, client.accessToken);
+  }
+
+  return res.reply({
+    clientId:     credentialName,
+    accessToken:  signaturevalidator.temporaryAccessToken(cert.seed, client.accessToken),
+    certificate:  JSON.stringify(cert),
+    start:        start.toJSON(),
+    expiry:       expiry.toJSON(),
+  });
+});
+
+/** Get certificate keys */
+api.declare({
+  method:     'get',
+  route:      '/certificate-keys',
+  name:       'certificateKeys',
+  output:     'certificate-keys-response.json#',
+  stability:  'experimental',
+  title:      'Get Certificate Keys',
+  description: [
+    'Get the public keys used to sign version 2 certificates of temporary',
+    'credentials, as a JSON Web Key Set.  Services can use these keys to',
+    'verify the certificates of temporary credentials without calling this',
+    'service; the `kid` of a certificate identifies the key that signed it.',
+    '',
+    'The key set is empty if this service does not issue version 2',
+    'certificates.',
+  ].join('\n'),
+}, async function(req, res) {
+  let keys = this.certificateSigningKey ? [this.certificateSigningKey] : [];
+  return res.reply(certificatekeys.toJWKS(keys));
+});
+
+/** Get offline bundle */
+api.declare({
+  method:     'get',
+  route:      '/offline-bundle',
+  name:       'offlineBundle',
+  output:     'offline-bundle-response.json#',
+  stability:  'experimental',
+  title:      'Get Offline Bundle',
+  description: [
+    'Get a signed, time-limited snapshot of all roles and the trie compiled',
+    'from them, allowing services to expand scopes without calling this',
+    'service for every request.  The `bundle` is a JSON string, signed with',
+    'the key `kid` published by `certificateKeys`.',
+    '',
+    'The `OfflineResolver` in `src/offlineresolver.js` verifies and loads',
+    'bundles, expands scopes with them, and fetches a new bundle only once',
+    'the current one has expired.  Changes to roles are not reflected in a',
+    'bundle until it is fetched again.',
+  ].join('\n'),
+}, async function(req, res) {
+  if (!this.certificateSigningKey) {
+    return res.reportError('InputError', 'Offline bundles are not supported', {});
+  }
+  let expires = taskcluster.fromNow(this.offlineBundleLifetime);
+  return res.reply(OfflineResolver.createBundle(
+    this.resolver.snapshot(), expires, this.certificateSigningKey));
+});
+
+/** Revoke temporary credentials */
+api.declare({
+  method:     'delete',
+  route:      '/clients/:clientId/temporary-credentials/:seed',
+  name:       'revokeTemporaryCredentials',
+  scopes:     'auth:revoke-temporary-credentials:<clientId>',
+  stability:  'experimental',
+  title:      'Revoke Temporary Credentials',
+  description: [
+    'Revoke all temporary credentials issued by the client `clientId` with a',
+    'certificate having the given `seed`.  Once revoked, the credentials are',
+    'rejected by all instances of this service, even though they have not',
+    'yet expired.',
+    '',
+    'This endpoint is idempotent, and it is not an error to revoke a `seed`',
+    'that was never issued.',
+  ].join('\n'),
+}, async function(req, res) {
+  let clientId  = req.params.clientId;
+  let seed      = req.params.seed;
+
+  await req.authorize({clientId});
+
+  // Certificates cannot outlive 31 days (plus allowed clock drift), so the
+  // revocation is no longer needed after that
+  let expires = taskcluster.fromNow('31 days 5 minutes');
+  await this.RevokedCertificate.create({
+    issuer:     clientId,
+    seed,
+    revokedBy:  await req.clientId(),
+    revoked:    new Date(),
+    expires,
+  }, true);
+
+  this.resolver.certificateRevoked(clientId, seed, expires);
+  await this.publisher.certificateRevoked({
+    issuer:   clientId,
+    seed,
+    expires:  expires.toJSON(),
+  });
+
+  return res.status(204).send();
+});
+
 /** Update client */
 api.declare({
   method:     'post',
   route:      '/clients/:clientId',
+  query: {
+    ifMatch: /^[\x20-\x7e]+$/,
+  },
   name:       'updateClient',
   input:      'create-client-request.json#',
   output:     'get-client-response.json#',
@@ -334,11 +808,17 @@ api.declare({
     'updated, but `scopes` can be modified.  The caller\'s scopes must',
     'satisfy all scopes being added to the client in the update operation.',
     'If no scopes are given in the request, the client\'s scopes remain',
-    'unchanged',
+    'unchanged, and likewise for `allowedNetworks`, `owner` and `tags`.',
+    '',
+    'To avoid overwriting concurrent changes, pass the `etag` of the client',
+    'as read with `client` in the `ifMatch` query parameter or the `If-Match`',
+    'header.  The update then fails with a `RequestConflict` error if the',
+    'client has been modified since.',
   ].join('\n'),
 }, async function(req, res) {
   let clientId  = req.params.clientId;
   let input     = req.body;
+  let etag      = expectedEtag(req);
 
   // Load client
   let client = await this.Client.load({clientId}, true);
@@ -353,8 +833,20 @@ api.declare({
   // Check scopes
   await req.authorize({clientId, scopesAdded});
 
-  // Update client
+  if (input.allowedNetworks && reportInvalidNetworks(input.allowedNetworks, res)) {
+    return;
+  }
+
+  // Update client; the etag is checked in the modifier, as it is called again
+  // with the stored client if the client was modified concurrently
+  let before;
+  let conflict = false;
   await client.modify(client => {
+    conflict = etag !== undefined && this.Client.etag(client) !== etag;
+    if (conflict) {
+      return;
+    }
+    before = this.Client.historyState(client);
     client.description = input.description;
     client.expires = new Date(input.expires);
     client.details.lastModified = new Date().toJSON();
@@ -362,6 +854,29 @@ api.declare({
     if (input.scopes) {
       client.scopes = input.scopes;
     }
+    if (input.allowedNetworks) {
+      client.details.allowedNetworks = input.allowedNetworks;
+    }
+    if (input.owner !== undefined) {
+      client.owner = input.owner;
+    }
+    if (input.tags) {
+      client.tags = input.tags;
+    }
+  });
+
+  if (conflict) {
+    return res.reportError('RequestConflict',
+      'Client has been modified since it was read; its etag is now {{etag}}',
+      {etag: client.etag()});
+  }
+
+  await this.ClientHistory.record({
+    clientId,
+    actor:      await req.clientId(),
+    operation:  'updated',
+    before,
+    after:      this.Client.historyState(client),
   });
 
   // Publish message on pulse to clear caches...
@@ -402,10 +917,24 @@ api.declare({
     return res.reportError('ResourceNotFound', 'Client not found', {});
   }
 
-  // Update client
+  // Update client, recording the change if it was disabled
+  let before;
   await client.modify(client => {
+    before = this.Client.historyState(client);
     client.disabled = 0;
+    delete client.details.disableReason;
+    delete client.details.disabledUntil;
   });
+  let after = this.Client.historyState(client);
+  if (!_.isEqual(before, after)) {
+    await this.ClientHistory.record({
+      clientId,
+      actor:      await req.clientId(),
+      operation:  'enabled',
+      before,
+      after,
+    });
+  }
 
   // Publish message on pulse to clear caches...
   await Promise.all([
@@ -420,6 +949,10 @@ api.declare({
 api.declare({
   method:     'post',
   route:      '/clients/:clientId/disable',
+  query: {
+    reason: /^[\x20-\x7e]{1,1000}$/,
+    until: /^[0-9]{4}-[0-9]{2}-[0-9]{2}T[0-9]{2}:[0-9]{2}:[0-9]{2}(\.[0-9]+)?Z$/,
+  },
   name:       'disableClient',
   input:      undefined,
   output:     'get-client-response.json#',
@@ -427,27 +960,58 @@ api.declare({
   stability:  'stable',
   title:      'Disable Client',
   description: [
-    'Disable a client.  If the client is already disabled, this does nothing.',
+    'Disable a client.  The optional `reason` query parameter is returned by',
+    '`client` and included in the error given when the client is used, so',
+    'give a reason saying who disabled the client and why.  If the `until`',
+    'query parameter (a date-time such as `2017-01-01T00:00:00.000Z`) is',
+    'given, the client is re-enabled automatically shortly after that time.',
+    '',
+    'If the client is already disabled, this only replaces its `reason` and',
+    '`until`.',
     '',
     'This is typically used by identity providers to disable clients when the',
     'corresponding identity\'s scopes no longer satisfy the client\'s scopes.',
   ].join('\n'),
 }, async function(req, res) {
   let clientId  = req.params.clientId;
+  let reason    = req.query.reason || '';
+  let until     = req.query.until ? new Date(req.query.until) : null;
 
   // Check scopes
   await req.authorize({clientId});
 
+  if (until && !(until > new Date())) {
+    return res.reportError('InputError', 'until must be in the future', {});
+  }
+
   // Load client
   let client = await this.Client.load({clientId}, true);
   if (!client) {
     return res.reportError('ResourceNotFound', 'Client not found', {});
   }
 
-  // Update client
+  // Update client, recording the change, if any
+  let before;
   await client.modify(client => {
+    before = this.Client.historyState(client);
     client.disabled = 1;
+    client.details.disableReason = reason;
+    if (until) {
+      client.details.disabledUntil = until.toJSON();
+    } else {
+      delete client.details.disabledUntil;
+    }
   });
+  let after = this.Client.historyState(client);
+  if (!_.isEqual(before, after)) {
+    await this.ClientHistory.record({
+      clientId,
+      actor:      await req.clientId(),
+      operation:  'disabled',
+      before,
+      after,
+    });
+  }
 
   // Publish message on pulse to clear caches...
   await Promise.all([
@@ -476,7 +1040,16 @@ api.declare({
   // Check scopes
   await req.authorize({clientId});
 
-  await this.Client.remove({clientId}, true);
+  let client = await this.Client.load({clientId}, true);
+  if (await this.Client.remove({clientId}, true)) {
+    await this.ClientHistory.record({
+      clientId,
+      actor:      await req.clientId(),
+      operation:  'deleted',
+      before:     client && this.Client.historyState(client),
+      after:      null,
+    });
+  }
 
   await Promise.all([
     this.publisher.clientDeleted({clientId}),
@@ -486,10 +1059,60 @@ api.declare({
   return res.status(204).send();
 });
 
+/** Get client history */
+api.declare({
+  method:     'get',
+  route:      '/clients/:clientId/history',
+  query: {
+    continuationToken: /^[^~]*~[^~]*$/,
+    limit: /^[1-9][0-9]*$/,
+  },
+  name:       'clientHistory',
+  input:      undefined,
+  output:     'client-history-response.json#',
+  stability:  'experimental',
+  title:      'Get Client History',
+  description: [
+    'Get the history of changes to a client, oldest first.  Each entry gives',
+    'the clientId of the caller that made the change (`actor`), when it was',
+    'made, the kind of change, the scopes added to and removed from the',
+    'client, the change to its description, if any, and the changes to its',
+    'other properties, such as `expires`, `owner`, `tags` or `disableReason`.',
+    'This includes the history of clients that have since been deleted.',
+    '',
+    'By default this end-point will try to return up to 1000 entries in one',
+    'request. But it **may return less, even none**.',
+    'It may also return a `continuationToken` even though there are no more',
+    'results. However, you can only be sure to have seen all results if you',
+    'keep calling `clientHistory` with the last `continuationToken` until you',
+    'get a result without a `continuationToken`.',
+  ].join('\n'),
+}, async function(req, res) {
+  let clientId = req.params.clientId;
+  let continuation = req.query.continuationToken;
+  let limit = Math.min(parseInt(req.query.limit || 1000, 10), 1000);
+
+  let data = await this.ClientHistory.scan({clientId}, {continuation, limit});
+
+  let result = {
+    history: data.entries.map(entry => entry.json()),
+  };
+  if (data.continuation) {
+    result.continuationToken = data.continuation;
+  }
+  res.reply(result);
+});
+
 /** List roles */
 api.declare({
   method:     'get',
   route:      '/roles/',
+  query: {
+    prefix: /^[\x20-\x7e]+$/,
+    continuationToken: /^[A-Za-z0-9_-]+$/,
+    limit: /^[1-9][0-9]*$/,
+    expandedScopes: /^(true|false)$/,
+  },
   name:       'listRoles',
   input:      undefined,
   output:     'list-roles-response.json#',
@@ -497,12 +1120,42 @@ api.declare({
   title:      'List Roles',
   description: [
     'Get a list of all roles, each role object also includes the list of',
-    'scopes it expands to.',
+    'scopes it expands to.  With `prefix`, only roles for which it is a',
+    'prefix of the roleId are returned.  Computing `expandedScopes` for each',
+    'role can be skipped by passing `expandedScopes=false`.',
+    '',
+    'Roles are returned in order of `roleId`, at most `limit` (default and',
+    'maximum 1000) at a time.  If more roles are available, the result',
+    'carries a `continuationToken`; pass it to `listRoles` to get the next',
+    'page.',
   ].join('\n'),
 }, async function(req, res) {
-  // Load all roles
+  let prefix = req.query.prefix || '';
+  let limit = Math.min(parseInt(req.query.limit || 1000, 10), 1000);
+  let expand = req.query.expandedScopes !== 'false';
+  let after;
+  if (req.query.continuationToken) {
+    // base64url, which the base64 decoder accepts
+    after = Buffer.from(req.query.continuationToken, 'base64').toString('utf-8');
+  }
+
+  // Load all roles, the roles blob is loaded in one piece anyway
   let roles = await this.Roles.get();
-  res.reply(roles.map(r => roleToJson(r, this)));
+  roles = _.sortBy(roles.filter(role =>
+    role.roleId.startsWith(prefix) && (after === undefined || role.roleId > after)
+  ), 'roleId');
+
+  let result = {
+    roles: roles.slice(0, limit).map(r => expand ? roleToJson(r, this) : roleSummaryToJson(r)),
+  };
+  if (roles.length > limit) {
+    result.continuationToken = Buffer.from(roles[limit - 1].roleId)
+      .toString('base64')
+      .replace(/\+/g, '-')  // Replace + with - (see RFC 4648, sec. 5)
+      .replace(/\//g, '_')  // Replace / with _ (see RFC 4648, sec. 5)
+      .replace(/=/g,  '');  // Drop '==' padding
+  }
+  res.reply(result);
 });
 
 /** Get role */
@@ -516,7 +1169,8 @@ api.declare({
   title:      'Get Role',
   description: [
     'Get information about a single role, including the set of scopes that the',
-    'role expands to.',
+    'role expands to.  The `etag` of the role is also given in the `ETag`',
+    'header; see `updateRole`.',
   ].join('\n'),
 }, async function(req, res) {
   let roleId = req.params.roleId;
@@ -529,13 +1183,60 @@ api.declare({
     return res.reportError('ResourceNotFound', 'Role not found', {});
   }
 
-  res.reply(roleToJson(role, this));
+  let result = roleToJson(role, this);
+  res.set('ETag', `"${result.etag}"`);
+  res.reply(result);
+});
+
+/** Get role history */
+api.declare({
+  method:     'get',
+  route:      '/roles/:roleId/history',
+  query: {
+    continuationToken: /^[^~]*~[^~]*$/,
+    limit: /^[1-9][0-9]*$/,
+  },
+  name:       'roleHistory',
+  input:      undefined,
+  output:     'role-history-response.json#',
+  stability:  'experimental',
+  title:      'Get Role History',
+  description: [
+    'Get the history of changes to a role, oldest first.  Each entry gives the',
+    'clientId of the caller that made the change, when it was made, and the',
+    'description and scopes of the role before and after the change.  This',
+    'includes the history of roles that have since been deleted.',
+    '',
+    'By default this end-point will try to return up to 1000 entries in one',
+    'request. But it **may return less, even none**.',
+    'It may also return a `continuationToken` even though there are no more',
+    'results. However, you can only be sure to have seen all results if you',
+    'keep calling `roleHistory` with the last `continuationToken` until you',
+    'get a result without a `continuationToken`.',
+  ].join('\n'),
+}, async function(req, res) {
+  let roleId = req.params.roleId;
+  let continuation = req.query.continuationToken;
+  let limit = Math.min(parseInt(req.query.limit || 1000, 10), 1000);
+
+  let data = await this.RoleHistory.scan({roleId}, {continuation, limit});
+
+  let result = {
+    history: data.entries.map(entry => entry.json()),
+  };
+  if (data.continuation) {
+    result.continuationToken = data.continuation;
+  }
+  res.reply(result);
 });
 
 /** Create role */
 api.declare({
   method:     'put',
   route:      '/roles/:roleId',
+  query: {
+    dryRun: /^(true|false)$/,
+  },
   name:       'createRole',
   input:      'create-role-request.json#',
   output:     'get-role-response.json#',
@@ -557,16 +1258,18 @@ api.declare({
     '',
     'Creation of a role that will generate an infinite expansion will result',
     'in an error response.',
+    '',
+    'This fails while role modifications are frozen (see `freezeRoles`).',
+    '',
+    'With `dryRun=true`, the role is checked as usual but not created.  The',
+    'response then has a `dryRun` property giving the changes to the role\'s',
+    '`expandedScopes` and listing the other roles and clients whose expanded',
+    'scopes would change.',
   ].join('\n'),
 }, async function(req, res) {
   let roleId    = req.params.roleId;
   let input     = req.body;
-
-  if (process.env.LOCK_ROLES === 'true') {
-    return res.reportError('InputError',
-      'Roles are temporarily locked during upgrade',
-      {});
-  }
+  let dryRun    = req.query.dryRun === 'true';
 
   // Check scopes
   await req.authorize({roleId, scopes: input.scopes});
@@ -574,7 +1277,7 @@ api.declare({
   input.scopes.sort(scopeUtils.scopeCompare);
 
   let when = new Date().toJSON();
-  role = {
+  let role = {
     roleId,
     description: input.description,
     scopes: input.scopes,
@@ -589,33 +1292,47 @@ api.declare({
     err.code = 'ErrorReported';
     return err;
   };
-  try {
-    await this.Roles.modify(roles => {
-      let existing = _.find(roles, {roleId});
-      if (existing) {
-        // role exists and doesn't match this one -> RequestConflict
-        if (existing.description !== input.description || !_.isEqual(existing.scopes, input.scopes)) {
-          throw reportError('RequestConflict',
-            'Role with same roleId already exists',
-            {});
-        } else {
-          role = existing;
-          return;
-        }
+  let created = false;
+  let modifier = async (roles) => {
+    created = false;
+    if (!dryRun) {
+      await checkRolesNotFrozen(this, reportError);
+    }
+    let existing = _.find(roles, {roleId});
+    if (existing) {
+      // role exists and doesn't match this one -> RequestConflict
+      if (existing.description !== input.description || !_.isEqual(existing.scopes, input.scopes)) {
+        throw reportError('RequestConflict',
+          'Role with same roleId already exists',
+          {});
+      } else {
+        role = existing;
+        return;
       }
+    }
 
-      // check that this new role does not introduce a cycle
-      let checkRoles = _.clone(roles);
-      checkRoles.push(role);
-      try {
-        ScopeResolver.cycleCheck(checkRoles);
-      } catch (e) {
-        throw reportError('InputError', `Invalid roles: ${e.message}`, {});
-      }
+    // check that this new role does not introduce a cycle
+    let checkRoles = _.clone(roles);
+    checkRoles.push(role);
+    try {
+      ScopeResolver.cycleCheck(checkRoles);
+    } catch (e) {
+      throw reportError('InputError', `Invalid roles: ${e.message}`, {});
+    }
 
-      // add the role for real
-      roles.push(role);
-    });
+    // add the role for real
+    roles.push(role);
+    created = true;
+  };
+
+  let roles;
+  try {
+    if (dryRun) {
+      roles = _.cloneDeep(await this.Roles.get());
+      await modifier(roles);
+    } else {
+      await this.Roles.modify(modifier);
+    }
   } catch (e) {
     if (e.code === 'ErrorReported') {
       return;
@@ -623,6 +1340,21 @@ api.declare({
     throw e;
   }
 
+  if (dryRun) {
+    return res.reply(roleDryRunToJson(role, roles, this));
+  }
+
+  // Record the change, unless this was an idempotent re-creation
+  if (created) {
+    await this.RoleHistory.record({
+      roleId,
+      clientId: await req.clientId(),
+      action:   'created',
+      before:   null,
+      after:    role,
+    });
+  }
+
   // Send pulse message and reload
   await Promise.all([
     this.publisher.roleCreated({roleId}),
@@ -637,6 +1369,10 @@ api.declare({
 api.declare({
   method:     'post',
   route:      '/roles/:roleId',
+  query: {
+    dryRun: /^(true|false)$/,
+    ifMatch: /^[\x20-\x7e]+$/,
+  },
   name:       'updateRole',
   input:      'create-role-request.json#',
   output:     'get-role-response.json#',
@@ -656,17 +1392,25 @@ api.declare({
     '',
     'An update of a role that will generate an infinite expansion will result',
     'in an error response.',
+    '',
+    'This fails while role modifications are frozen (see `freezeRoles`).',
+    '',
+    'To avoid overwriting concurrent changes, pass the `etag` of the role as',
+    'read with `role` in the `ifMatch` query parameter or the `If-Match`',
+    'header.  The update then fails with a `RequestConflict` error if the',
+    'role has been modified since.',
+    '',
+    'With `dryRun=true`, the update is checked as usual but not applied.  The',
+    'response then has a `dryRun` property giving the changes to the role\'s',
+    '`expandedScopes` and listing the other roles and clients whose expanded',
+    'scopes would change.',
   ].join('\n'),
 }, async function(req, res) {
   let roleId    = req.params.roleId;
   let input     = req.body;
-  let role;
-
-  if (process.env.LOCK_ROLES === 'true') {
-    return res.reportError('InputError',
-      'Roles are temporarily locked during upgrade',
-      {});
-  }
+  let dryRun    = req.query.dryRun === 'true';
+  let etag      = expectedEtag(req);
+  let role, before;
 
   // Load role
   let callerScopes = await req.scopes();
@@ -676,35 +1420,54 @@ api.declare({
     err.code = 'ErrorReported';
     return err;
   };
-  try {
-    await this.Roles.modify(async (roles) => {
-      let i = _.findIndex(roles, {roleId});
-      if (i === -1) {
-        throw reportError('ResourceNotFound', 'Role not found', {});
-      }
-      role = roles[i];
-
-      // Check scopes
-      const formerRoleScopes = this.resolver.resolve(role.scopes);
-      const scopesAdded = input.scopes.filter(s => !scopeUtils.scopeMatch(formerRoleScopes, [[s]]));
-      await req.authorize({roleId, scopesAdded});
-
-      // check that this updated role does not introduce a cycle, careful not to modify
-      // the original yet (since azure-blob-storage caches it)
-      let checkRoles = _.clone(roles);
-      checkRoles[i] = _.clone(role);
-      checkRoles[i].scopes = input.scopes;
-      try {
-        ScopeResolver.cycleCheck(checkRoles);
-      } catch (e) {
-        throw reportError('InputError', `Invalid roles: ${e.message}`, {});
-      }
+  let modifier = async (roles) => {
+    if (!dryRun) {
+      await checkRolesNotFrozen(this, reportError);
+    }
+    let i = _.findIndex(roles, {roleId});
+    if (i === -1) {
+      throw reportError('ResourceNotFound', 'Role not found', {});
+    }
+    role = roles[i];
 
-      // finish modification
-      role.scopes = input.scopes;
-      role.description = input.description;
-      role.lastModified = new Date().toJSON();
-    });
+    // Check that the role has not been modified since the caller read it
+    if (etag !== undefined && Roles.etag(role) !== etag) {
+      throw reportError('RequestConflict',
+        'Role has been modified since it was read; its etag is now {{etag}}',
+        {etag: Roles.etag(role)});
+    }
+
+    // Check scopes
+    const formerRoleScopes = this.resolver.resolve(role.scopes);
+    const scopesAdded = input.scopes.filter(s => !scopeUtils.scopeMatch(formerRoleScopes, [[s]]));
+    await req.authorize({roleId, scopesAdded});
+
+    // check that this updated role does not introduce a cycle, careful not to modify
+    // the original yet (since azure-blob-storage caches it)
+    let checkRoles = _.clone(roles);
+    checkRoles[i] = _.clone(role);
+    checkRoles[i].scopes = input.scopes;
+    try {
+      ScopeResolver.cycleCheck(checkRoles);
+    } catch (e) {
+      throw reportError('InputError', `Invalid roles: ${e.message}`, {});
+    }
+
+    // finish modification
+    before = _.cloneDeep(role);
+    role.scopes = input.scopes;
+    role.description = input.description;
+    role.lastModified = new Date().toJSON();
+  };
+
+  let roles;
+  try {
+    if (dryRun) {
+      roles = _.cloneDeep(await this.Roles.get());
+      await modifier(roles);
+    } else {
+      await this.Roles.modify(modifier);
+    }
   } catch (e) {
     if (e.code === 'ErrorReported') {
       // res.reportError already called
@@ -713,6 +1476,18 @@ api.declare({
     throw e;
   }
 
+  if (dryRun) {
+    return res.reply(roleDryRunToJson(role, roles, this));
+  }
+
+  await this.RoleHistory.record({
+    roleId,
+    clientId: await req.clientId(),
+    action:   'updated',
+    before,
+    after:    role,
+  });
+
   // Publish message on pulse to clear caches...
   await Promise.all([
     this.publisher.roleUpdated({roleId}),
@@ -733,25 +1508,47 @@ api.declare({
   description: [
     'Delete a role. This operation will succeed regardless of whether or not',
     'the role exists.',
+    '',
+    'This fails while role modifications are frozen (see `freezeRoles`).',
   ].join('\n'),
 }, async function(req, res) {
   let roleId  = req.params.roleId;
 
-  if (process.env.LOCK_ROLES === 'true') {
-    return res.reportError('InputError',
-      'Roles are temporarily locked during upgrade',
-      {});
-  }
-
   // Check scopes
   await req.authorize({roleId});
 
-  await this.Roles.modify(roles => {
-    let i = _.findIndex(roles, {roleId});
-    if (i !== -1) {
-      roles.splice(i, 1);
+  let reportError = (code, message, details) => {
+    res.reportError(code, message, details);
+    let err = new Error();
+    err.code = 'ErrorReported';
+    return err;
+  };
+  let deleted = null;
+  try {
+    await this.Roles.modify(async (roles) => {
+      await checkRolesNotFrozen(this, reportError);
+      let i = _.findIndex(roles, {roleId});
+      deleted = i !== -1 ? roles[i] : null;
+      if (i !== -1) {
+        roles.splice(i, 1);
+      }
+    });
+  } catch (e) {
+    if (e.code === 'ErrorReported') {
+      return;
     }
-  });
+    throw e;
+  }
+
+  if (deleted) {
+    await this.RoleHistory.record({
+      roleId,
+      clientId: await req.clientId(),
+      action:   'deleted',
+      before:   deleted,
+      after:    null,
+    });
+  }
 
   await Promise.all([
     this.publisher.roleDeleted({roleId}),
@@ -761,6 +1558,233 @@ api.declare({
   return res.status(204).send();
 });
 
+/** Import a set of roles */
+api.declare({
+  method:     'put',
+  route:      '/roles/',
+  name:       'importRoles',
+  input:      'role-set.json#',
+  output:     'import-roles-response.json#',
+  scopes: {
+    AllOf: [
+      {for: 'roleId', in: 'created', each: 'auth:create-role:<roleId>'},
+      {for: 'roleId', in: 'updated', each: 'auth:update-role:<roleId>'},
+      {for: 'roleId', in: 'deleted', each: 'auth:delete-role:<roleId>'},
+      {for: 'scope', in: 'scopesAdded', each: '<scope>'},
+    ],
+  },
+  stability:  'experimental',
+  title:      'Import Roles',
+  description: [
+    'Create, update and (with `replace`) delete roles to match the given set',
+    'of roles, in a single operation.  Roles in the set that match an existing',
+    'role are left unchanged.  If `replace` is true, any existing role not in',
+    'the set is deleted.',
+    '',
+    'The caller must have `auth:create-role:<roleId>`,',
+    '`auth:update-role:<roleId>` or `auth:delete-role:<roleId>` for each role',
+    'created, updated or deleted, and the caller\'s scopes must satisfy all',
+    'scopes being added, as for `createRole` and `updateRole`.',
+    '',
+    'The changes are applied all together, or not at all if any check fails,',
+    'including a check that the resulting roles do not generate an infinite',
+    'expansion.  The output of `exportRoles` is a valid input.',
+    '',
+    'This fails while role modifications are frozen (see `freezeRoles`).',
+  ].join('\n'),
+}, async function(req, res) {
+  let input = req.body;
+
+  let roleIds = input.roles.map(({roleId}) => roleId);
+  let duplicates = _.uniq(roleIds.filter((roleId, i) => roleIds.indexOf(roleId) !== i));
+  if (duplicates.length > 0) {
+    return res.reportError('InputError',
+      'Duplicate roleIds: {{duplicates}}',
+      {duplicates: duplicates.join(', ')});
+  }
+
+  let reportError = (code, message, details) => {
+    res.reportError(code, message, details);
+    let err = new Error();
+    err.code = 'ErrorReported';
+    return err;
+  };
+  let created, updated, deleted, changes;
+  try {
+    await this.Roles.modify(async (roles) => {
+      await checkRolesNotFrozen(this, reportError);
+      created = [];
+      updated = [];
+      deleted = [];
+      changes = [];
+      let scopesAdded = [];
+      let when = new Date().toJSON();
+
+      let newRoles = input.roles.map(({roleId, description, scopes}) => {
+        scopes = _.clone(scopes).sort(scopeUtils.scopeCompare);
+        let existing = _.find(roles, {roleId});
+        if (!existing) {
+          created.push(roleId);
+          scopesAdded = scopesAdded.concat(scopes);
+          let role = {roleId, description, scopes, lastModified: when, created: when};
+          changes.push({roleId, action: 'created', before: null, after: role});
+          return role;
+        }
+        if (existing.description === description &&
+            _.isEqual(_.clone(existing.scopes).sort(scopeUtils.scopeCompare), scopes)) {
+          return existing;
+        }
+        updated.push(roleId);
+        const formerRoleScopes = this.resolver.resolve(_.clone(existing.scopes));
+        scopesAdded = scopesAdded.concat(
+          scopes.filter(s => !scopeUtils.scopeMatch(formerRoleScopes, [[s]])));
+        let role = _.defaults({description, scopes, lastModified: when}, existing);
+        changes.push({roleId, action: 'updated', before: existing, after: role});
+        return role;
+      });
+
+      // keep (or, with replace, delete) roles not in the input
+      for (let role of roles) {
+        if (roleIds.indexOf(role.roleId) !== -1) {
+          continue;
+        }
+        if (input.replace) {
+          deleted.push(role.roleId);
+          changes.push({roleId: role.roleId, action: 'deleted', before: role, after: null});
+        } else {
+          newRoles.push(role);
+        }
+      }
+
+      await req.authorize({created, updated, deleted, scopesAdded: _.uniq(scopesAdded)});
+
+      try {
+        ScopeResolver.cycleCheck(newRoles);
+      } catch (e) {
+        throw reportError('InputError', `Invalid roles: ${e.message}`, {});
+      }
+
+      // replace the roles, in place
+      roles.splice(0, roles.length, ...newRoles);
+    });
+  } catch (e) {
+    if (e.code === 'ErrorReported') {
+      return;
+    }
+    throw e;
+  }
+
+  let clientId = await req.clientId();
+  await Promise.all(changes.map(({roleId, action, before, after}) =>
+    this.RoleHistory.record({roleId, clientId, action, before, after})));
+
+  // Publish a message for each change, but reload only once; other instances
+  // share the reloads for messages arriving together (see reloadRoles)
+  await Promise.all([
+    ...created.map(roleId => this.publisher.roleCreated({roleId})),
+    ...updated.map(roleId => this.publisher.roleUpdated({roleId})),
+    ...deleted.map(roleId => this.publisher.roleDeleted({roleId})),
+    this.resolver.reloadRoles(),
+  ]);
+
+  return res.reply({created, updated, deleted});
+});
+
+/** Export all roles */
+api.declare({
+  method:     'get',
+  // not `/roles/export`, which is the route of `role` for the role `export`
+  route:      '/roles/export/all',
+  name:       'exportRoles',
+  input:      undefined,
+  output:     'role-set.json#',
+  stability:  'experimental',
+  title:      'Export Roles',
+  description: [
+    'Get the definitions of all roles, sorted by roleId, in the format',
+    'accepted by `importRoles`.',
+  ].join('\n'),
+}, async function(req, res) {
+  let roles = _.sortBy(await this.Roles.get(), 'roleId');
+  res.reply({
+    roles: roles.map(({roleId, description, scopes}) => ({roleId, description, scopes})),
+  });
+});
+
+/** Get role freeze */
+api.declare({
+  method:     'get',
+  route:      '/role-freeze',
+  name:       'roleFreeze',
+  input:      undefined,
+  output:     'role-freeze-response.json#',
+  stability:  'experimental',
+  title:      'Get Role Freeze',
+  description: [
+    'Get the current freeze on role modifications, if any.',
+  ].join('\n'),
+}, async function(req, res) {
+  let freeze = await this.RoleFreeze.get();
+  res.reply(_.defaults({frozen: !!freeze}, freeze));
+});
+
+/** Freeze roles */
+api.declare({
+  method:     'put',
+  route:      '/role-freeze',
+  name:       'freezeRoles',
+  input:      'freeze-roles-request.json#',
+  output:     'role-freeze-response.json#',
+  scopes:     'auth:freeze-roles',
+  stability:  'experimental',
+  title:      'Freeze Roles',
+  description: [
+    'Freeze role modifications, with the given `reason`, until `expires` or',
+    'until `unfreezeRoles` is called.  While roles are frozen, any call that',
+    'would create, update or delete a role fails with an error giving the',
+    'reason.  This replaces any existing freeze.',
+  ].join('\n'),
+}, async function(req, res) {
+  let input = req.body;
+
+  if (input.expires && new Date(input.expires) < new Date()) {
+    return res.reportError('InputError', 'expires must be in the future', {});
+  }
+
+  let freeze = {
+    reason:   input.reason,
+    clientId: await req.clientId(),
+    created:  new Date().toJSON(),
+  };
+  if (input.expires) {
+    freeze.expires = new Date(input.expires).toJSON();
+  }
+  await this.RoleFreeze.set(freeze);
+
+  // Rewrite the roles, unchanged, so that any modification that checked for a
+  // freeze before it was set fails to write and checks again
+  await this.Roles.modify(() => {});
+
+  res.reply(_.defaults({frozen: true}, freeze));
+});
+
+/** Unfreeze roles */
+api.declare({
+  method:     'delete',
+  route:      '/role-freeze',
+  name:       'unfreezeRoles',
+  scopes:     'auth:freeze-roles',
+  stability:  'experimental',
+  title:      'Unfreeze Roles',
+  description: [
+    'Remove any freeze on role modifications.  This operation will succeed',
+    'regardless of whether or not roles are frozen.',
+  ].join('\n'),
+}, async function(req, res) {
+  await this.RoleFreeze.clear();
+  return res.status(204).send();
+});
+
 /** Expand a scopeset */
 api.declare({
   method:     'get',
@@ -799,6 +1823,66 @@ api.declare({
   return res.reply({scopes: this.resolver.resolve(input.scopes)});
 });
 
+/** Explain how a scope is granted by a scopeset */
+api.declare({
+  method:     'post',
+  route:      '/scopes/explain',
+  name:       'explainScope',
+  input:      'explain-scope-request.json#',
+  output:     'explain-scope-response.json#',
+  stability:  'experimental',
+  title:      'Explain Scope',
+  description: [
+    'Explain how the given `scope` is satisfied by the expansion of the given',
+    'scopeset.  The response contains the shortest chain of roles leading from',
+    'one of the given scopes to a scope satisfying `scope`, including the',
+    'value substituted for `<..>` in any parameterized roles along the way.',
+    '',
+    'This is intended for debugging why a scopeset has more (or less) access',
+    'than expected.',
+  ].join('\n'),
+}, async function(req, res) {
+  let input = req.body;
+  let chain = this.resolver.explain(input.scopes, input.scope);
+  return res.reply({
+    scope:      input.scope,
+    satisfied:  !!chain,
+    chain:      chain || [],
+  });
+});
+
+/** Find the clients and roles granting a scope */
+api.declare({
+  method:     'post',
+  route:      '/scopes/holders',
+  name:       'scopeHolders',
+  input:      'scope-holders-request.json#',
+  output:     'scope-holders-response.json#',
+  stability:  'experimental',
+  title:      'Find Scope Holders',
+  description: [
+    'Return the clients and roles whose expanded scopes satisfy the given',
+    '`scope`.  Disabled and expired clients are included, with their `disabled`',
+    'flag and `expires` time, as they may hold the scope again once re-enabled',
+    'or updated.',
+    '',
+    'This is answered from the cached clients and roles, so a recent change',
+    'to a client or role may not be reflected immediately.',
+  ].join('\n'),
+}, async function(req, res) {
+  let input = req.body;
+  let {clients, roles} = this.resolver.holders(input.scope);
+  return res.reply({
+    scope: input.scope,
+    clients: clients.map(({clientId, disabled, expires}) => ({
+      clientId,
+      disabled,
+      expires: expires.toJSON(),
+    })),
+    roles,
+  });
+});
+
 /** Get the request scopes */
 api.declare({
   method:     'get',
@@ -841,6 +1925,10 @@ api.declare({
     'This method is used by other services that wish rely on Taskcluster',
     'credentials for authentication. This way we can use Hawk without having',
     'the secret credentials leave this service.',
+    '',
+    'To protect the integrity of the request body, include either its',
+    '`payload` (with `contentType`) or its Hawk `payloadHash`.  The request is',
+    'then only authenticated if it carries a matching payload hash.',
   ].join('\n'),
 }, function(req, res) {
   return this.signatureValidator(req.body).then(result => {
@@ -851,6 +1939,125 @@ api.declare({
   });
 });
 
+/** List lockouts */
+api.declare({
+  method:     'get',
+  route:      '/lockouts',
+  name:       'listLockouts',
+  output:     'list-lockouts-response.json#',
+  scopes:     'auth:list-lockouts',
+  stability:  'experimental',
+  title:      'List Lockouts',
+  description: [
+    'List clients that are temporarily locked out after repeated',
+    'authentication failures with bad signatures.  A client is locked out',
+    'only for the source IP address the failures came from, so each lockout',
+    'gives the `source` along with the number of failures from it.  Failures',
+    'of requests from an unknown source are not counted.',
+  ].join('\n'),
+}, async function(req, res) {
+  let lockouts = await this.lockoutManager.lockouts();
+  return res.reply({
+    lockouts: lockouts.map(({clientId, source, failures, lockedUntil}) => ({
+      clientId,
+      source,
+      failures,
+      lockedUntil: lockedUntil.toJSON(),
+    })),
+  });
+});
+
+/** Clear lockout */
+api.declare({
+  method:     'delete',
+  route:      '/lockouts/:clientId',
+  name:       'clearLockout',
+  scopes:     'auth:clear-lockout:<clientId>',
+  stability:  'experimental',
+  title:      'Clear Lockout',
+  description: [
+    'Clear the lockouts and failure counts of the client `clientId`, for all',
+    'sources, allowing it to authenticate again.  It is not an error to clear',
+    'the lockout of a client that is not locked out.',
+    '',
+    'Instances of this service cache lockouts briefly, so it may take a few',
+    'seconds before every instance accepts the client again.',
+  ].join('\n'),
+}, async function(req, res) {
+  let clientId = req.params.clientId;
+
+  await req.authorize({clientId});
+
+  await this.lockoutManager.clear(clientId);
+  return res.status(204).send();
+});
+
+/** Create bearer token */
+api.declare({
+  method:     'post',
+  route:      '/bearer-token',
+  name:       'bearerToken',
+  input:      'bearer-token-request.json#',
+  output:     'bearer-token-response.json#',
+  scopes:     {AllOf: [{for: 'scope', in: 'scopes', each: '<scope>'}]},
+  stability:  'experimental',
+  title:      'Get Bearer Token',
+  description: [
+    'Get a short-lived bearer token for the caller, with the given `scopes`',
+    '(by default, all of the caller\'s scopes).  The token can be used in an',
+    '`Authorization: Bearer <token>` header in place of Hawk, for tools that',
+    'cannot easily sign requests with Hawk.',
+    '',
+    'The token carries the expanded scopes of the caller at the time it is',
+    'issued, and remains valid until it expires even if the client is',
+    'modified or disabled, so tokens are limited to a short lifetime.  The',
+    'token never expires after the credentials used to call this method.',
+    'If the caller\'s client has `allowedNetworks`, the token can only be',
+    'used from those networks as well.',
+  ].join('\n'),
+}, async function(req, res) {
+  let input = req.body;
+  let clientId = await req.clientId();
+  let scopes = input.scopes || await req.scopes();
+
+  await req.authorize({scopes});
+
+  let credentialsExpire = await req.expires();
+  if (!credentialsExpire) {
+    return res.reportError('AuthenticationFailed',
+      'Bearer tokens are only issued to authenticated callers', {});
+  }
+  if (!this.bearerTokens.secret) {
+    return res.reportError('InputError', 'Bearer tokens are not supported', {});
+  }
+
+  let expires = input.expires ?
+    new Date(input.expires) : taskcluster.fromNow(this.bearerTokens.defaultLifetime);
+  if (expires > taskcluster.fromNow(this.bearerTokens.maxLifetime)) {
+    return res.reportError('InputError',
+      'expires cannot be more than {{maxLifetime}} from now',
+      {maxLifetime: this.bearerTokens.maxLifetime});
+  }
+  // The token cannot outlive the credentials used to get it, so that bearer
+  // tokens cannot be used to get ever-later bearer tokens
+  if (expires > credentialsExpire) {
+    expires = credentialsExpire;
+  }
+  if (expires <= new Date()) {
+    return res.reportError('InputError', 'expires must be in the future', {});
+  }
+
+  // the token carries expanded scopes, like the scopes of the caller
+  scopes = this.resolver.resolve(_.clone(scopes));
+  // the token is restricted to the networks of the caller (as found when
+  // the request was authenticated, see sourcetracker.js)
+  let allowedNetworks = req.allowedNetworks || [];
+  let token = signaturevalidator.createBearerToken(
+    {clientId, scopes, expires, allowedNetworks}, this.bearerTokens.secret);
+
+  return res.reply({token, clientId, scopes, expires: expires.toJSON()});
+});
+
 api.declare({
   method:     'post',
   route:      '/test-authenticate',
@@ -877,7 +2084,8 @@ api.declare({
     signatureValidator: signaturevalidator.createSignatureValidator({
       clientLoader: async (clientId) => {
         if (clientId !== 'tester') {
-          throw new Error('Client with clientId \'' + clientId + '\' not found');
+          throw signaturevalidator.authError('client-not-found',
+            'Client with clientId \'' + clientId + '\' not found');
         }
         return {
           clientId: 'tester',
@@ -930,7 +2138,8 @@ api.declare({
     signatureValidator: signaturevalidator.createSignatureValidator({
       clientLoader: async (clientId) => {
         if (clientId !== 'tester') {
-          throw new Error('Client with clientId \'' + clientId + '\' not found');
+          throw signaturevalidator.authError('client-not-found',
+            'Client with clientId \'' + clientId + '\' not found');
         }
         return {
           clientId: 'tester',
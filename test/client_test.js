@@ -8,6 +8,9 @@ suite('api (client)', function() {
   var assume      = require('assume');
   var testing     = require('taskcluster-lib-testing');
   var taskcluster = require('taskcluster-client');
+  var hawk        = require('hawk');
+  var certificatekeys = require('../src/certificatekeys');
+  var signaturevalidator = require('../src/signaturevalidator');
 
   const cleanup = async () => {
     // Delete all clients and roles
@@ -104,7 +107,7 @@ suite('api (client)', function() {
     ));
 
     let gotSuffixes = (result) =>
-      _.map(_.filter(result,
+      _.map(_.filter(result.clients,
         c => c.clientId.startsWith(CLIENT_ID)),
       c => c.clientId.substr(CLIENT_ID.length)).sort();
 
@@ -119,12 +122,212 @@ suite('api (client)', function() {
     assume(gotSuffixes(await helper.auth.listClients({prefix: CLIENT_ID + '/c'})))
       .to.deeply.equal([]);
 
+    // paging through results, one client at a time
+    let clientIds = [];
+    let query = {prefix: CLIENT_ID, limit: 1};
+    while (true) {
+      let result = await helper.auth.listClients(query);
+      assume(result.clients.length).is.atmost(1);
+      clientIds = clientIds.concat(result.clients.map(c => c.clientId));
+      if (!result.continuationToken) {
+        break;
+      }
+      query.continuationToken = result.continuationToken;
+    }
+    assume(gotSuffixes({clients: clientIds.map(clientId => ({clientId}))}))
+      .to.deeply.equal(suffixes);
+
+    // the scan reads only the clients with the prefix
+    let result = await helper.auth.listClients({prefix: CLIENT_ID + '/aa', limit: 1});
+    assume(gotSuffixes(result)).to.deeply.equal(['/aa']);
+    assume(result).has.not.own('continuationToken');
+
+    // clean up
+    await Promise.all(suffixes.map(suffix =>
+      helper.auth.deleteClient(CLIENT_ID + suffix)
+    ));
+  });
+
+  test('auth.listClients (owner and tag)', async () => {
+    let clients = {
+      '/aa': {owner: 'alice@example.com', tags: {project: 'docs'}},
+      '/bb': {owner: 'alice@example.com', tags: {project: 'ci', tier: '1'}},
+      '/cc': {owner: 'bob@example.com', tags: {project: 'docs'}},
+      '/dd': {},
+    };
+    let suffixes = _.keys(clients);
+
+    await Promise.all(suffixes.map(suffix =>
+      helper.auth.deleteClient(CLIENT_ID + suffix)
+    ));
+
+    await Promise.all(suffixes.map(suffix =>
+      helper.auth.createClient(CLIENT_ID + suffix, _.defaults({
+        expires: taskcluster.fromNow('1 hour'),
+        description: 'test client',
+      }, clients[suffix]))
+    ));
+
+    let gotSuffixes = (result) =>
+      _.map(_.filter(result.clients,
+        c => c.clientId.startsWith(CLIENT_ID)),
+      c => c.clientId.substr(CLIENT_ID.length)).sort();
+
+    assume(gotSuffixes(await helper.auth.listClients({owner: 'alice@example.com'})))
+      .to.deeply.equal(['/aa', '/bb']);
+    assume(gotSuffixes(await helper.auth.listClients({tag: 'project:docs'})))
+      .to.deeply.equal(['/aa', '/cc']);
+    assume(gotSuffixes(await helper.auth.listClients({
+      owner: 'alice@example.com', tag: 'project:docs',
+    }))).to.deeply.equal(['/aa']);
+    assume(gotSuffixes(await helper.auth.listClients({tag: 'tier:2'})))
+      .to.deeply.equal([]);
+
+    // pages are filled, even past clients without the tag
+    let query = {prefix: CLIENT_ID, tag: 'project:docs', limit: 1};
+    let result = await helper.auth.listClients(query);
+    assume(gotSuffixes(result)).to.deeply.equal(['/aa']);
+    query.continuationToken = result.continuationToken;
+    result = await helper.auth.listClients(query);
+    assume(gotSuffixes(result)).to.deeply.equal(['/cc']);
+    query.continuationToken = result.continuationToken;
+    result = await helper.auth.listClients(query);
+    assume(result.clients).to.deeply.equal([]);
+    assume(result).has.not.own('continuationToken');
+
+    let client = await helper.auth.client(CLIENT_ID + '/dd');
+    assume(client.owner).equals('');
+    assume(client.tags).deep.equals({});
+
     // clean up
     await Promise.all(suffixes.map(suffix =>
       helper.auth.deleteClient(CLIENT_ID + suffix)
     ));
   });
 
+  test('auth.listClients (short pages with selective filters)', async () => {
+    // eleven clients without the tag, sorting before one with it
+    let suffixes = _.range(12).map(i => '/' + _.padStart(i, 2, '0'));
+    await Promise.all(suffixes.map(suffix =>
+      helper.auth.deleteClient(CLIENT_ID + suffix)
+    ));
+    await Promise.all(suffixes.map((suffix, i) =>
+      helper.auth.createClient(CLIENT_ID + suffix, {
+        expires: taskcluster.fromNow('1 hour'),
+        description: 'test client',
+        tags: i === 11 ? {project: 'docs'} : {},
+      })
+    ));
+
+    // reading one client per scan, the first request gives up on the page
+    let query = {prefix: CLIENT_ID + '/', tag: 'project:docs', limit: 1};
+    let result = await helper.auth.listClients(query);
+    assume(result.clients).to.deeply.equal([]);
+    assume(result.continuationToken).is.a('string');
+    query.continuationToken = result.continuationToken;
+    result = await helper.auth.listClients(query);
+    assume(result.clients.map(c => c.clientId)).to.deeply.equal([CLIENT_ID + '/11']);
+
+    // clean up
+    await Promise.all(suffixes.map(suffix =>
+      helper.auth.deleteClient(CLIENT_ID + suffix)
+    ));
+  });
+
+  test('auth.createClient / updateClient with owner and tags', async () => {
+    let client = await helper.auth.createClient(CLIENT_ID, {
+      expires: taskcluster.fromNow('1 hour'),
+      description: 'Test client...',
+      owner: 'alice@example.com',
+      tags: {project: 'docs'},
+    });
+    assume(client.owner).equals('alice@example.com');
+    assume(client.tags).deep.equals({project: 'docs'});
+
+    // owner and tags are unchanged if not given
+    client = await helper.auth.updateClient(CLIENT_ID, {
+      expires: taskcluster.fromNow('1 hour'),
+      description: 'Test client...',
+    });
+    assume(client.owner).equals('alice@example.com');
+    assume(client.tags).deep.equals({project: 'docs'});
+
+    client = await helper.auth.updateClient(CLIENT_ID, {
+      expires: taskcluster.fromNow('1 hour'),
+      description: 'Test client...',
+      owner: '',
+      tags: {project: 'ci'},
+    });
+    assume(client.owner).equals('');
+    assume(client.tags).deep.equals({project: 'ci'});
+    assume((await helper.auth.client(CLIENT_ID)).tags).deep.equals({project: 'ci'});
+
+    await helper.auth.updateClient(CLIENT_ID, {
+      expires: taskcluster.fromNow('1 hour'),
+      description: 'Test client...',
+      tags: {'bad tag': 'x'},
+    }).then(() => assert(false, 'expected an error'),
+      err => assume(err.code).equals('InputValidationError'));
+  });
+
+  test('auth.listStaleClients', async () => {
+    let staticClientId = 'static/' + CLIENT_ID;
+    await createTestClient();
+    await helper.auth.deleteClient(staticClientId);
+    await helper.auth.createClient(staticClientId, {
+      expires: taskcluster.fromNow('1 hour'),
+      description: 'Test client...',
+    });
+    for (let clientId of [CLIENT_ID, staticClientId]) {
+      let client = await helper.Client.load({clientId});
+      await client.modify(client => {
+        client.details.lastDateUsed = taskcluster.fromNow('-100 days').toJSON();
+      });
+    }
+
+    let staleClientIds = async query => {
+      let clientIds = [];
+      query = _.clone(query);
+      while (true) {
+        let result = await helper.auth.listStaleClients(query);
+        clientIds = clientIds.concat(_.map(result.clients, 'clientId'));
+        if (!result.continuationToken) {
+          return clientIds;
+        }
+        query.continuationToken = result.continuationToken;
+      }
+    };
+    assume(await staleClientIds({})).contains(CLIENT_ID);
+    assume(await staleClientIds({})).not.contains(staticClientId);
+    assume(await staleClientIds({unusedFor: '101 days'})).not.contains(CLIENT_ID);
+    assume(await staleClientIds({unusedFor: '99 days', limit: 1})).contains(CLIENT_ID);
+
+    let stale = await helper.Client.findStale(taskcluster.fromNow('-90 days'), ['static/']);
+    assume(_.map(stale, 'clientId')).contains(CLIENT_ID);
+    assume(_.map(stale, 'clientId')).not.contains(staticClientId);
+
+    // a client used since it was found stale is not disabled
+    let client = _.find(stale, {clientId: CLIENT_ID});
+    let fresh = await helper.Client.load({clientId: CLIENT_ID});
+    await fresh.modify(client => {
+      client.details.lastDateUsed = new Date().toJSON();
+    });
+    assume(await client.disableStale(taskcluster.fromNow('-90 days'))).equals(null);
+    assume((await helper.auth.client(CLIENT_ID)).disabled).is.false();
+
+    await fresh.modify(client => {
+      client.details.lastDateUsed = taskcluster.fromNow('-100 days').toJSON();
+    });
+    client = await helper.Client.load({clientId: CLIENT_ID});
+    let before = await client.disableStale(taskcluster.fromNow('-90 days'));
+    assume(before.disabled).is.false();
+    let disabled = await helper.auth.client(CLIENT_ID);
+    assume(disabled.disabled).is.true();
+    assume(disabled.disableReason).contains('not been used since');
+
+    await helper.auth.deleteClient(staticClientId);
+  });
+
   test('auth.createClient (with scopes)', async () => {
     await helper.events.listenFor('e1', helper.authEvents.clientCreated({
       clientId:  CLIENT_ID,
@@ -172,8 +375,51 @@ suite('api (client)', function() {
     });
 
     await helper.events.waitFor('created');
+    return client;
   };
 
+  test('auth.createClient (idempotent re-create)', async () => {
+    let clientId = CLIENT_ID + '/' + slugid.v4();
+    let input = {
+      expires: taskcluster.fromNow('1 hour'),
+      description: 'Test client...',
+      scopes: ['scope1'],
+    };
+    let client = await helper.auth.createClient(clientId, input);
+    let again = await helper.auth.createClient(clientId, input);
+    assume(again.clientId).equals(clientId);
+    assume(again.accessToken).equals(client.accessToken);
+    assume(again.created).equals(client.created);
+
+    // only the original creation is recorded
+    let {history} = await helper.auth.clientHistory(clientId);
+    assume(history.map(entry => entry.operation)).deep.equals(['created']);
+
+    await helper.auth.deleteClient(clientId);
+  });
+
+  test('auth.createClient (conflicting re-create)', async () => {
+    let input = {
+      expires: taskcluster.fromNow('1 hour'),
+      description: 'Test client...',
+      scopes: ['scope1'],
+    };
+    await helper.auth.createClient(CLIENT_ID, input);
+    await helper.auth.createClient(CLIENT_ID, _.defaults({
+      description: 'Another client...',
+    }, input)).then(() => assert(false, 'Expected error'),
+      err => assert.equal(err.statusCode, 409));
+
+    // a re-create is not idempotent once the client is 15 minutes old
+    let stored = await helper.Client.load({clientId: CLIENT_ID});
+    await stored.modify(client => {
+      client.details.created = taskcluster.fromNow('-20 minutes').toJSON();
+    });
+    await helper.auth.createClient(CLIENT_ID, input).then(
+      () => assert(false, 'Expected error'),
+      err => assert.equal(err.statusCode, 409));
+  });
+
   test('auth.resetAccessToken', async () => {
     await createTestClient();
 
@@ -192,6 +438,46 @@ suite('api (client)', function() {
     assume(client2).has.not.own('accessToken');
   });
 
+  test('auth.resetAccessToken (with gracePeriod)', async () => {
+    let created = await createTestClient();
+
+    await helper.events.listenFor('e1', helper.authEvents.clientUpdated({
+      clientId:  CLIENT_ID,
+    }));
+    let client = await helper.auth.resetAccessToken(CLIENT_ID, {gracePeriod: '1 hour'});
+    await helper.events.waitFor('e1');
+
+    // both the new and the previous accessToken work during the grace period
+    for (let accessToken of [client.accessToken, created.accessToken]) {
+      let testClient = new helper.TestClient({
+        baseUrl: helper.testBaseUrl,
+        credentials: {clientId: CLIENT_ID, accessToken},
+      });
+      await testClient.resource();
+    }
+
+    // another reset without gracePeriod invalidates the previous accessToken
+    await helper.auth.resetAccessToken(CLIENT_ID);
+    let testClient = new helper.TestClient({
+      baseUrl: helper.testBaseUrl,
+      credentials: {clientId: CLIENT_ID, accessToken: client.accessToken},
+    });
+    await testClient.resource().then(() => {
+      assert(false, 'expected an error');
+    }, err => {
+      assume(err.code).equals('AuthenticationFailed');
+    });
+  });
+
+  test('auth.resetAccessToken (gracePeriod too long)', async () => {
+    await createTestClient();
+    await helper.auth.resetAccessToken(CLIENT_ID, {gracePeriod: '30 days'}).then(() => {
+      assert(false, 'expected an error');
+    }, err => {
+      assume(err.code).equals('InputError');
+    });
+  });
+
   test('use client', async () => {
     await createTestClient();
 
@@ -303,6 +589,29 @@ suite('api (client)', function() {
     assume(client2.expandedScopes).contains('scope3');
   });
 
+  test('auth.updateClient (with ifMatch)', async () => {
+    await createTestClient();
+    let {etag} = await helper.auth.client(CLIENT_ID);
+
+    let expires = taskcluster.fromNow('2 hours');
+    let client = await helper.auth.updateClient(CLIENT_ID, {
+      description: 'First update', expires,
+    }, {ifMatch: etag});
+    assume(client.description).equals('First update');
+    assume(client.etag).not.equals(etag);
+
+    // an update based on the original etag conflicts with the first update
+    await helper.auth.updateClient(CLIENT_ID, {
+      description: 'Second update', expires,
+    }, {ifMatch: etag}).then(() => assert(false, 'Expected error'),
+      err => assert.equal(err.statusCode, 409));
+    client = await helper.auth.client(CLIENT_ID);
+    assume(client.description).equals('First update');
+
+    let {history} = await helper.auth.clientHistory(CLIENT_ID);
+    assume(_.map(history, 'operation').slice(-2)).deep.equals(['created', 'updated']);
+  });
+
   test('auth.disableClient / enableClient', async () => {
     await createTestClient();
 
@@ -321,6 +630,284 @@ suite('api (client)', function() {
     assume(client.disabled).equals(false);
   });
 
+  test('auth.authenticateHawk reports why authentication failed', async () => {
+    let client = await createTestClient();
+    let authenticate = accessToken => helper.auth.authenticateHawk({
+      method: 'get',
+      resource: '/',
+      host: 'test.taskcluster.net',
+      port: 443,
+      authorization: hawk.client.header('https://test.taskcluster.net/', 'GET', {
+        credentials: {id: CLIENT_ID, key: accessToken, algorithm: 'sha256'},
+      }).field,
+    });
+
+    let result = await authenticate('wrong-secret');
+    assume(result.status).equals('auth-failed');
+    assume(result.reason).equals('bad-signature');
+
+    await helper.auth.disableClient(CLIENT_ID);
+    result = await authenticate(client.accessToken);
+    assume(result.status).equals('auth-failed');
+    assume(result.reason).equals('client-disabled');
+  });
+
+  test('auth.createClient / updateClient with allowedNetworks', async () => {
+    let client = await helper.auth.createClient(CLIENT_ID, {
+      expires: taskcluster.fromNow('1 hour'),
+      description: 'Test client...',
+      allowedNetworks: ['10.0.0.0/8'],
+    });
+    assume(client.allowedNetworks).deep.equals(['10.0.0.0/8']);
+    let accessToken = client.accessToken;
+    let authenticate = sourceIp => helper.auth.authenticateHawk({
+      method: 'get',
+      resource: '/',
+      host: 'test.taskcluster.net',
+      port: 443,
+      sourceIp,
+      authorization: hawk.client.header('https://test.taskcluster.net/', 'GET', {
+        credentials: {id: CLIENT_ID, key: accessToken, algorithm: 'sha256'},
+      }).field,
+    });
+    assume((await authenticate('10.1.2.3')).status).equals('auth-success');
+    assume((await authenticate('192.168.1.1')).reason).equals('source-not-allowed');
+    assume((await authenticate(undefined)).reason).equals('source-not-allowed');
+
+    // allowedNetworks is unchanged if not given
+    client = await helper.auth.updateClient(CLIENT_ID, {
+      expires: taskcluster.fromNow('1 hour'),
+      description: 'Test client...',
+    });
+    assume(client.allowedNetworks).deep.equals(['10.0.0.0/8']);
+
+    client = await helper.auth.updateClient(CLIENT_ID, {
+      expires: taskcluster.fromNow('1 hour'),
+      description: 'Test client...',
+      allowedNetworks: [],
+    });
+    assume(client.allowedNetworks).deep.equals([]);
+    assume((await authenticate('192.168.1.1')).status).equals('auth-success');
+  });
+
+  test('allowedNetworks are checked for calls to the auth service', async () => {
+    let client = await helper.auth.createClient(CLIENT_ID, {
+      expires: taskcluster.fromNow('1 hour'),
+      description: 'Test client...',
+      allowedNetworks: ['127.0.0.0/8', '::1/128'],
+    });
+    let auth = new helper.Auth({
+      credentials: {clientId: CLIENT_ID, accessToken: client.accessToken},
+    });
+    assume((await auth.bearerToken({})).clientId).equals(CLIENT_ID);
+
+    await helper.auth.updateClient(CLIENT_ID, {
+      expires: taskcluster.fromNow('1 hour'),
+      description: 'Test client...',
+      allowedNetworks: ['10.0.0.0/8'],
+    });
+    await auth.bearerToken({}).then(
+      () => assert(false, 'expected an error'),
+      err => assume(err.statusCode).equals(401));
+  });
+
+  test('auth.disableClient with reason and until', async () => {
+    let client = await createTestClient();
+    let until = taskcluster.fromNow('1 hour');
+    let disabled = await helper.auth.disableClient(CLIENT_ID, {
+      reason: 'disabled by test', until: until.toJSON(),
+    });
+    assume(disabled.disabled).equals(true);
+    assume(disabled.disableReason).equals('disabled by test');
+    assume(disabled.disabledUntil).equals(until.toJSON());
+
+    let result = await helper.auth.authenticateHawk({
+      method: 'get',
+      resource: '/',
+      host: 'test.taskcluster.net',
+      port: 443,
+      authorization: hawk.client.header('https://test.taskcluster.net/', 'GET', {
+        credentials: {id: CLIENT_ID, key: client.accessToken, algorithm: 'sha256'},
+      }).field,
+    });
+    assume(result.reason).equals('client-disabled');
+    assume(result.message).equals(`Client with clientId '${CLIENT_ID}' is disabled: ` +
+      `disabled by test (until ${until.toJSON()})`);
+
+    // clients are not re-enabled before until
+    let reenabled = await helper.Client.reenableExpired();
+    assume(_.map(reenabled, 'client.clientId')).not.contains(CLIENT_ID);
+
+    reenabled = await helper.Client.reenableExpired(taskcluster.fromNow('2 hours'));
+    assume(_.map(reenabled, 'client.clientId')).contains(CLIENT_ID);
+    let {before} = _.find(reenabled, {client: {clientId: CLIENT_ID}});
+    assume(before.disabled).is.true();
+    assume(before.disableReason).equals('disabled by test');
+    let enabled = await helper.auth.client(CLIENT_ID);
+    assume(enabled.disabled).equals(false);
+    assume(enabled).has.not.own('disableReason');
+    assume(enabled).has.not.own('disabledUntil');
+
+    await helper.auth.disableClient(CLIENT_ID, {until: taskcluster.fromNow('-1 hour').toJSON()})
+      .then(() => assert(false, 'expected an error'),
+        err => assume(err.code).equals('InputError'));
+    await helper.auth.disableClient(CLIENT_ID, {reason: 'x'.repeat(1001)})
+      .then(() => assert(false, 'expected an error'),
+        err => assume(err.code).equals('InvalidRequestArguments'));
+  });
+
+  test('auth.createClient with invalid allowedNetworks', async () => {
+    await helper.auth.createClient(CLIENT_ID, {
+      expires: taskcluster.fromNow('1 hour'),
+      description: 'Test client...',
+      allowedNetworks: ['10.0.0.0'],
+    }).then(() => assert(false, 'expected an error'),
+      err => assume(err.code).equals('InputError'));
+  });
+
+  test('auth.listLockouts / clearLockout', async () => {
+    let client = await createTestClient();
+    let authenticate = accessToken => helper.auth.authenticateHawk({
+      method: 'get',
+      resource: '/',
+      host: 'test.taskcluster.net',
+      port: 443,
+      sourceIp: '10.0.0.1',
+      authorization: hawk.client.header('https://test.taskcluster.net/', 'GET', {
+        credentials: {id: CLIENT_ID, key: accessToken, algorithm: 'sha256'},
+      }).field,
+    });
+
+    for (let i = 0; i < helper.cfg.app.lockoutThreshold; i++) {
+      await authenticate('wrong-secret');
+    }
+    let result = await authenticate(client.accessToken);
+    assume(result.reason).equals('locked-out');
+
+    let {lockouts} = await helper.auth.listLockouts();
+    let lockout = _.find(lockouts, {clientId: CLIENT_ID});
+    assume(lockout.failures).equals(helper.cfg.app.lockoutThreshold);
+    assume(lockout.source).equals('10.0.0.1');
+
+    await helper.auth.clearLockout(CLIENT_ID);
+    result = await authenticate(client.accessToken);
+    assume(result.status).equals('auth-success');
+    ({lockouts} = await helper.auth.listLockouts());
+    assume(_.find(lockouts, {clientId: CLIENT_ID})).is.undefined();
+  });
+
+  test('auth.bearerToken', async () => {
+    let client = await createTestClient();
+    let auth = new helper.Auth({
+      credentials: {clientId: CLIENT_ID, accessToken: client.accessToken},
+    });
+    let result = await auth.bearerToken({scopes: ['myapi:resource']});
+    assume(result.clientId).equals(CLIENT_ID);
+    assume(result.scopes).deep.equals(['myapi:resource']);
+    assume(new Date(result.expires)).is.atmost(taskcluster.fromNow('15 minutes'));
+
+    let authenticated = await helper.auth.authenticateHawk({
+      method: 'get',
+      resource: '/',
+      host: 'test.taskcluster.net',
+      port: 443,
+      authorization: 'Bearer ' + result.token,
+    });
+    assume(authenticated.status).equals('auth-success');
+    assume(authenticated.scheme).equals('bearer');
+    assume(authenticated.clientId).equals(CLIENT_ID);
+    assume(authenticated.scopes).deep.equals(['myapi:resource']);
+
+    await auth.bearerToken({scopes: ['scope2']}).then(
+      () => assert(false, 'expected an error'),
+      err => assume(err.code).equals('InsufficientScopes'));
+    await auth.bearerToken({expires: taskcluster.fromNow('2 hours')}).then(
+      () => assert(false, 'expected an error'),
+      err => assume(err.code).equals('InputError'));
+  });
+
+  test('auth.bearerToken for a client with allowedNetworks', async () => {
+    let client = await helper.auth.createClient(CLIENT_ID, {
+      expires: taskcluster.fromNow('1 hour'),
+      description: 'Test client...',
+      scopes: ['myapi:resource'],
+      allowedNetworks: ['127.0.0.0/8', '::1/128'],
+    });
+    let auth = new helper.Auth({
+      credentials: {clientId: CLIENT_ID, accessToken: client.accessToken},
+    });
+    let {token} = await auth.bearerToken({});
+    let authenticate = sourceIp => helper.auth.authenticateHawk({
+      method: 'get',
+      resource: '/',
+      host: 'test.taskcluster.net',
+      port: 443,
+      sourceIp,
+      authorization: 'Bearer ' + token,
+    });
+    assume((await authenticate('127.0.0.1')).status).equals('auth-success');
+    assume((await authenticate('10.1.2.3')).reason).equals('source-not-allowed');
+  });
+
+  test('auth.clientHistory', async () => {
+    let clientId = CLIENT_ID + '/' + slugid.v4();
+    let expires = taskcluster.fromNow('1 hour');
+    let created = await helper.auth.createClient(clientId, {
+      expires,
+      description: 'first',
+      scopes: ['scope1', 'scope2'],
+    });
+    let expires2 = taskcluster.fromNow('2 hours');
+    await helper.auth.updateClient(clientId, {
+      expires: expires2,
+      description: 'second',
+      scopes: ['scope2', 'scope3'],
+      owner: 'alice@example.com',
+      tags: {project: 'docs'},
+    });
+    await helper.auth.disableClient(clientId);
+    await helper.auth.disableClient(clientId);
+    await helper.auth.enableClient(clientId);
+    let reset = await helper.auth.resetAccessToken(clientId);
+    await helper.auth.deleteClient(clientId);
+
+    let {history} = await helper.auth.clientHistory(clientId);
+    assume(history.map(({operation}) => operation)).deep.equals([
+      'created', 'updated', 'disabled', 'enabled', 'reset-access-token', 'deleted',
+    ]);
+    assume(_.uniq(history.map(({actor}) => actor))).deep.equals(['root']);
+    assume(history[0].scopesAdded).deep.equals(['scope1', 'scope2']);
+    assume(history[0].description).deep.equals({before: null, after: 'first'});
+    assume(history[1].scopesAdded).deep.equals(['scope3']);
+    assume(history[1].scopesRemoved).deep.equals(['scope1']);
+    assume(history[1].description).deep.equals({before: 'first', after: 'second'});
+    assume(history[2].scopesAdded).deep.equals([]);
+    assume(history[2].description).equals(null);
+    assume(history[5].scopesRemoved).deep.equals(['scope2', 'scope3']);
+    assume(history[5].description).deep.equals({before: 'second', after: null});
+
+    // other properties are recorded with their values before and after
+    assume(history[0].changes.expires).deep.equals({before: null, after: expires.toJSON()});
+    assume(history[0].changes.disabled).deep.equals({before: null, after: false});
+    assume(history[1].changes).deep.equals({
+      expires: {before: expires.toJSON(), after: expires2.toJSON()},
+      owner: {before: '', after: 'alice@example.com'},
+      tags: {before: {}, after: {project: 'docs'}},
+    });
+    assume(history[2].changes).deep.equals({
+      disabled: {before: false, after: true},
+      disableReason: {before: null, after: ''},
+    });
+    assume(history[3].changes).deep.equals({
+      disabled: {before: true, after: false},
+      disableReason: {before: '', after: null},
+    });
+    assume(history[4].changes).deep.equals({
+      lastRotated: {before: created.lastRotated, after: reset.lastRotated},
+    });
+    assume(history[5].changes.owner).deep.equals({before: 'alice@example.com', after: null});
+  });
+
   test('auth.deleteClient', async () => {
     await createTestClient();
 
@@ -438,4 +1025,173 @@ suite('api (client)', function() {
     assumeScopesetsEqual(await auth.currentScopes(),
       {scopes: ['myapi:x']});
   });
+
+  test('auth.createTemporaryCredentials', async () => {
+    await createTestClient();
+    let credentials = await helper.auth.createTemporaryCredentials(CLIENT_ID, {
+      scopes: ['myapi:x'],
+      expiry: taskcluster.fromNow('10 min'),
+    });
+    assume(credentials.clientId).equals(CLIENT_ID);
+    assume(JSON.parse(credentials.certificate).scopes).deep.equals(['myapi:x']);
+
+    let auth = new helper.Auth({
+      baseUrl:      helper.baseUrl,
+      credentials:  _.pick(credentials, ['clientId', 'accessToken', 'certificate']),
+    });
+    assumeScopesetsEqual(await auth.currentScopes(), {scopes: ['myapi:x']});
+  });
+
+  test('auth.createTemporaryCredentials (named)', async () => {
+    let clientId = CLIENT_ID + '/named';
+    await helper.auth.createClient(CLIENT_ID, {
+      expires: taskcluster.fromNow('1 hour'),
+      description: 'Test client...',
+      scopes: ['myapi:*', 'auth:create-client:' + CLIENT_ID + '/*'],
+    });
+    let credentials = await helper.auth.createTemporaryCredentials(CLIENT_ID, {
+      scopes: ['myapi:x'],
+      expiry: taskcluster.fromNow('10 min'),
+      clientId,
+    });
+    assume(credentials.clientId).equals(clientId);
+    assume(JSON.parse(credentials.certificate).issuer).equals(CLIENT_ID);
+
+    let auth = new helper.Auth({
+      baseUrl:      helper.baseUrl,
+      credentials:  _.pick(credentials, ['clientId', 'accessToken', 'certificate']),
+    });
+    assumeScopesetsEqual(await auth.currentScopes(), {scopes: ['myapi:x']});
+  });
+
+  test('auth.createTemporaryCredentials (version 2)', async () => {
+    let client = await createTestClient();
+    let credentials = await helper.auth.createTemporaryCredentials(CLIENT_ID, {
+      scopes: ['myapi:x'],
+      expiry: taskcluster.fromNow('10 min'),
+      version: 2,
+    });
+    let cert = JSON.parse(credentials.certificate);
+    assume(cert.version).equals(2);
+    assume(cert.kid).equals(helper.cfg.app.certificateSigningKey.keyId);
+
+    let auth = new helper.Auth({
+      baseUrl:      helper.baseUrl,
+      credentials:  _.pick(credentials, ['clientId', 'accessToken', 'certificate']),
+    });
+    assumeScopesetsEqual(await auth.currentScopes(), {scopes: ['myapi:x']});
+
+    // the certificate can be verified with the published keys alone
+    let keys = certificatekeys.fromJWKS(await helper.auth.certificateKeys());
+    let res = signaturevalidator.limitClientWithExt(CLIENT_ID, CLIENT_ID, null, null, null,
+      {certificate: cert}, scopes => scopes, null, keys);
+    assume(res.accessToken).equals(null);
+    assume(res.scopes).deep.equals(['myapi:x']);
+
+    // while the temporary accessToken needs the issuer's accessToken
+    res = signaturevalidator.limitClientWithExt(CLIENT_ID, CLIENT_ID, client.accessToken,
+      null, null, {certificate: cert}, scopes => scopes, null, keys);
+    assume(res.accessToken).equals(credentials.accessToken);
+  });
+
+  test('auth.createTemporaryCredentials (version 2, certificate alone)', async () => {
+    await createTestClient();
+    let credentials = await helper.auth.createTemporaryCredentials(CLIENT_ID, {
+      scopes: ['myapi:x'],
+      expiry: taskcluster.fromNow('10 min'),
+      version: 2,
+    });
+    let cert = JSON.parse(credentials.certificate);
+
+    // a third party seeing only the certificate cannot compute the accessToken
+    let accessToken = signaturevalidator.temporaryAccessToken(cert.seed, cert.signature);
+    assume(accessToken).does.not.equal(credentials.accessToken);
+    let result = await helper.auth.authenticateHawk({
+      method: 'get',
+      resource: '/',
+      host: 'test.taskcluster.net',
+      port: 443,
+      authorization: hawk.client.header('https://test.taskcluster.net/', 'GET', {
+        credentials: {id: CLIENT_ID, key: accessToken, algorithm: 'sha256'},
+        ext: Buffer.from(JSON.stringify({certificate: cert})).toString('base64'),
+      }).field,
+    });
+    assume(result.status).equals('auth-failed');
+    assume(result.reason).equals('bad-signature');
+  });
+
+  test('auth.createTemporaryCredentials (client lacks scopes)', async () => {
+    await createTestClient();
+    await helper.auth.createTemporaryCredentials(CLIENT_ID, {
+      scopes: ['other:x'],
+      expiry: taskcluster.fromNow('10 min'),
+    }).then(() => assert(false, 'expected an error'),
+      err => assume(err.code).equals('InputError'));
+  });
+
+  test('auth.createTemporaryCredentials (expired client)', async () => {
+    await createTestClient();
+    let client = await helper.Client.load({clientId: CLIENT_ID});
+    await client.modify(client => {
+      client.expires = taskcluster.fromNow('-1 hour');
+    });
+    await helper.auth.createTemporaryCredentials(CLIENT_ID, {
+      scopes: ['myapi:x'],
+      expiry: taskcluster.fromNow('10 min'),
+    }).then(() => assert(false, 'expected an error'),
+      err => assume(err.code).equals('InputError'));
+  });
+
+  test('auth.createTemporaryCredentials (named for the issuing client)', async () => {
+    await helper.auth.createClient(CLIENT_ID, {
+      expires: taskcluster.fromNow('1 hour'),
+      description: 'Test client...',
+      scopes: ['myapi:*', 'auth:create-client:' + CLIENT_ID],
+    });
+    await helper.auth.createTemporaryCredentials(CLIENT_ID, {
+      scopes: ['myapi:x'],
+      expiry: taskcluster.fromNow('10 min'),
+      clientId: CLIENT_ID,
+    }).then(() => assert(false, 'expected an error'),
+      err => assume(err.code).equals('InputError'));
+  });
+
+  test('auth.createTemporaryCredentials (caller lacks scopes)', async () => {
+    await createTestClient();
+    helper.scopes('auth:create-temporary-credentials:' + CLIENT_ID);
+    await helper.auth.createTemporaryCredentials(CLIENT_ID, {
+      scopes: ['myapi:x'],
+      expiry: taskcluster.fromNow('10 min'),
+    }).then(() => assert(false, 'expected an error'),
+      err => assume(err.code).equals('InsufficientScopes'));
+  });
+
+  test('auth.createTemporaryCredentials (too long)', async () => {
+    await createTestClient();
+    await helper.auth.createTemporaryCredentials(CLIENT_ID, {
+      scopes: ['myapi:x'],
+      expiry: taskcluster.fromNow('32 days'),
+    }).then(() => assert(false, 'expected an error'),
+      err => assume(err.code).equals('InputError'));
+  });
+
+  test('auth.revokeTemporaryCredentials', async () => {
+    await createTestClient();
+    let credentials = await helper.auth.createTemporaryCredentials(CLIENT_ID, {
+      scopes: ['myapi:resource'],
+      expiry: taskcluster.fromNow('10 min'),
+    });
+    let testClient = new helper.TestClient({
+      baseUrl:      helper.testBaseUrl,
+      credentials:  _.pick(credentials, ['clientId', 'accessToken', 'certificate']),
+    });
+    await testClient.resource();
+
+    let seed = JSON.parse(credentials.certificate).seed;
+    await helper.auth.revokeTemporaryCredentials(CLIENT_ID, seed);
+    assume(helper.resolver.isCertificateRevoked(CLIENT_ID, seed)).is.true();
+
+    await testClient.resource().then(() => assert(false, 'expected an error'),
+      err => assume(err.code).equals('AuthenticationFailed'));
+  });
 });
@@ -18,7 +18,7 @@ suite('containers', function() {
     credentials = helper.cfg.azure;
   }
 
-  let roles;
+  let roles, roleFreeze;
   suiteSetup(async function() {
     if (credentials) {
       roles = new containers.Roles({
@@ -27,6 +27,10 @@ suite('containers', function() {
       });
 
       await roles.setup();
+
+      roleFreeze = new containers.RoleFreeze({roles});
+
+      await roleFreeze.setup();
     }
   });
 
@@ -81,7 +85,37 @@ suite('containers', function() {
       sorted(['my-role', 'second-role']));
   });
 
-  // clean up the container manually at the end
+  test('freeze and unfreeze', async function() {
+    assert.equal(await roleFreeze.get(), null);
+    let freeze = {
+      reason: 'testing',
+      clientId: 'root',
+      created: new Date().toJSON(),
+    };
+    await roleFreeze.set(freeze);
+    assert.deepEqual(await roleFreeze.get(), freeze);
+    // the freeze is visible to other instances, and does not affect roles
+    let roleFreeze2 = new containers.RoleFreeze({roles: roles2});
+    await roleFreeze2.setup();
+    assert.deepEqual(await roleFreeze2.get(), freeze);
+    assert.deepEqual(sorted((await roles2.get()).map(r => r.roleId)),
+      sorted(['my-role', 'second-role']));
+    await roleFreeze.clear();
+    assert.equal(await roleFreeze2.get(), null);
+  });
+
+  test('expired freeze', async function() {
+    await roleFreeze.set({
+      reason: 'testing',
+      clientId: 'root',
+      created: new Date('2017-01-01').toJSON(),
+      expires: new Date('2017-01-02').toJSON(),
+    });
+    assert.equal(await roleFreeze.get(), null);
+    await roleFreeze.clear();
+  });
+
+  // clean up the containers manually at the end
   suiteTeardown(async function() {
     if (credentials) {
       const blobService = new azure.Blob({
@@ -0,0 +1,42 @@
+suite('Client.findExpiring', function() {
+  var helper      = require('./helper');
+  var assume      = require('assume');
+  var _           = require('lodash');
+  var taskcluster = require('taskcluster-client');
+
+  const CLIENT_ID = 'nobody/sds:ad_asd/df-sAdSfchsdfsdfs';
+
+  setup(async () => {
+    await helper.auth.deleteClient(CLIENT_ID);
+  });
+
+  const testClient = async ({expires}) => {
+    await helper.auth.createClient(CLIENT_ID, {
+      expires: taskcluster.fromNow(expires),
+      description: 'test',
+      owner: 'someone@example.com',
+    });
+  };
+
+  const expiringClientIds = async (until, now) =>
+    _.map(await helper.Client.findExpiring(taskcluster.fromNow(until), now), 'clientId');
+
+  test('finds clients expiring before until', async () => {
+    await testClient({expires: '1 hour'});
+    let clients = await helper.Client.findExpiring(taskcluster.fromNow('2 hours'));
+    let client = _.find(clients, {clientId: CLIENT_ID});
+    assume(client.owner).equals('someone@example.com');
+    assume(client.description).equals('test');
+  });
+
+  test('does not find clients expiring after until', async () => {
+    await testClient({expires: '3 hours'});
+    assume(await expiringClientIds('2 hours')).not.contains(CLIENT_ID);
+  });
+
+  test('does not find clients that have already expired', async () => {
+    await testClient({expires: '1 hour'});
+    assume(await expiringClientIds('3 hours', taskcluster.fromNow('2 hours')))
+      .not.contains(CLIENT_ID);
+  });
+});
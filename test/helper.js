@@ -55,6 +55,28 @@ class FakeRoles {
   }
 }
 
+// fake "RoleFreeze" container
+class FakeRoleFreeze {
+  constructor() {
+    this.freeze = null;
+  }
+
+  async get() {
+    if (this.freeze && this.freeze.expires && new Date(this.freeze.expires) < new Date()) {
+      return null;
+    }
+    return this.freeze;
+  }
+
+  async set(freeze) {
+    this.freeze = freeze;
+  }
+
+  async clear() {
+    this.freeze = null;
+  }
+}
+
 var webServer = null, testServer;
 mocha.before(async () => {
   let overwrites = {};
@@ -77,14 +99,48 @@ mocha.before(async () => {
       cryptoKey,
       signingKey,
     });
+    helper.RoleHistory = overwrites['RoleHistory'] = data.RoleHistory.setup({
+      table: 'RoleHistory',
+      account: 'inMemory',
+      credentials: null,
+      signingKey,
+    });
+    helper.ClientHistory = overwrites['ClientHistory'] = data.ClientHistory.setup({
+      table: 'ClientHistory',
+      account: 'inMemory',
+      credentials: null,
+      signingKey,
+    });
+    helper.RevokedCertificate = overwrites['RevokedCertificate'] = data.RevokedCertificate.setup({
+      table: 'RevokedCertificate',
+      account: 'inMemory',
+      credentials: null,
+      signingKey,
+    });
+    helper.Lockout = overwrites['Lockout'] = data.Lockout.setup({
+      table: 'Lockout',
+      account: 'inMemory',
+      credentials: null,
+      signingKey,
+    });
     helper.Roles = overwrites['Roles'] = new FakeRoles();
+    helper.RoleFreeze = overwrites['RoleFreeze'] = new FakeRoleFreeze();
   } else {
     helper.Client = overwrites['Client'] = await serverLoad('Client', overwrites);
+    helper.RoleHistory = overwrites['RoleHistory'] = await serverLoad('RoleHistory', overwrites);
+    helper.ClientHistory = overwrites['ClientHistory'] = await serverLoad('ClientHistory', overwrites);
+    helper.RevokedCertificate = overwrites['RevokedCertificate'] =
+      await serverLoad('RevokedCertificate', overwrites);
+    helper.Lockout = overwrites['Lockout'] = await serverLoad('Lockout', overwrites);
     helper.Roles = overwrites['Roles'] = new containers.Roles({
       containerName: helper.containerName,
       credentials: cfg.azure,
     });
     await helper.Roles.setup();
+    helper.RoleFreeze = overwrites['RoleFreeze'] = new containers.RoleFreeze({
+      roles: helper.Roles,
+    });
+    await helper.RoleFreeze.setup();
   }
 
   webServer = await serverLoad('server', overwrites);
@@ -0,0 +1,128 @@
+suite('lockout manager', function() {
+  var assume         = require('assume');
+  var Monitor        = require('taskcluster-lib-monitor');
+  var LockoutManager = require('../src/lockoutmanager');
+  var data           = require('../src/data');
+  var taskcluster    = require('taskcluster-client');
+
+  var monitor, Lockout;
+  suiteSetup(async function() {
+    monitor = await Monitor({project: 'foo', mock: true});
+  });
+
+  setup(async function() {
+    Lockout = data.Lockout.setup({
+      table: 'LockoutManagerTest',
+      account: 'inMemory',
+      credentials: null,
+      signingKey: 'not-a-secret',
+    });
+    await Lockout.ensureTable();
+    await Lockout.scan({}, {handler: lockout => lockout.remove(true)});
+  });
+
+  test('locks out after threshold failures from a source', async function() {
+    let lm = new LockoutManager({Lockout, threshold: 3, monitor});
+    await lm.recordFailure('client', '1.2.3.4');
+    await lm.recordFailure('client', '1.2.3.4');
+    assume(await lm.lockedUntil('client', '1.2.3.4')).equals(null);
+    await lm.recordFailure('client', '1.2.3.4');
+    assume(await lm.lockedUntil('client', '1.2.3.4')).is.instanceOf(Date);
+    assume(await lm.lockedUntil('client', '5.6.7.8')).equals(null);
+    assume(await lm.lockedUntil('other', '1.2.3.4')).equals(null);
+  });
+
+  test('does not count failures from other sources', async function() {
+    let lm = new LockoutManager({Lockout, threshold: 2, monitor});
+    await lm.recordFailure('client', '1.2.3.4');
+    await lm.recordFailure('client', '5.6.7.8');
+    await lm.recordFailure('client', '9.10.11.12');
+    assume(await lm.lockouts()).deep.equals([]);
+  });
+
+  test('shares lockouts between instances', async function() {
+    let lm1 = new LockoutManager({Lockout, threshold: 2, monitor});
+    let lm2 = new LockoutManager({Lockout, threshold: 2, monitor});
+    await lm1.recordFailure('client', '1.2.3.4');
+    await lm2.recordFailure('client', '1.2.3.4');
+    assume(await lm1.lockedUntil('client', '1.2.3.4')).is.instanceOf(Date);
+    assume(await lm2.lockedUntil('client', '1.2.3.4')).is.instanceOf(Date);
+  });
+
+  test('emits lockout with the source', async function() {
+    let lm = new LockoutManager({Lockout, threshold: 2, monitor});
+    let lockouts = [];
+    lm.on('lockout', lockout => lockouts.push(lockout));
+    await lm.recordFailure('client', '1.2.3.4');
+    await lm.recordFailure('client', '5.6.7.8');
+    await lm.recordFailure('client', '5.6.7.8');
+    assume(lockouts.length).equals(1);
+    assume(lockouts[0].clientId).equals('client');
+    assume(lockouts[0].source).equals('5.6.7.8');
+    assume(lockouts[0].failures).equals(2);
+    assume(lockouts[0].lockedUntil).is.instanceOf(Date);
+  });
+
+  test('lists lockouts', async function() {
+    let lm = new LockoutManager({Lockout, threshold: 1, monitor});
+    await lm.recordFailure('b', '5.6.7.8');
+    await lm.recordFailure('a', '1.2.3.4');
+    let lockouts = await lm.lockouts();
+    assume(lockouts.map(l => l.clientId)).deep.equals(['a', 'b']);
+    assume(lockouts.map(l => l.source)).deep.equals(['1.2.3.4', '5.6.7.8']);
+    assume(lockouts[0].failures).equals(1);
+  });
+
+  test('clears lockouts for all sources', async function() {
+    let lm = new LockoutManager({Lockout, threshold: 1, monitor});
+    await lm.recordFailure('client', '1.2.3.4');
+    await lm.recordFailure('client', '5.6.7.8');
+    await lm.recordFailure('other', '1.2.3.4');
+    assume(await lm.clear('client')).is.true();
+    assume(await lm.lockedUntil('client', '1.2.3.4')).equals(null);
+    assume(await lm.lockedUntil('client', '5.6.7.8')).equals(null);
+    assume((await lm.lockouts()).map(l => l.clientId)).deep.equals(['other']);
+    assume(await lm.clear('client')).is.false();
+  });
+
+  test('forgets failures after the period', async function() {
+    let lm = new LockoutManager({Lockout, threshold: 2, period: '1 second', monitor});
+    await lm.recordFailure('client', '1.2.3.4');
+    let lockout = await Lockout.load({clientId: 'client', source: '1.2.3.4'});
+    await lockout.modify(lockout => {
+      lockout.since = new Date(Date.now() - 2000);
+    });
+    await lm.recordFailure('client', '1.2.3.4');
+    assume(await lm.lockedUntil('client', '1.2.3.4')).equals(null);
+  });
+
+  test('locks out for lockoutTime', async function() {
+    let lm = new LockoutManager({Lockout, threshold: 1, period: '1 minute',
+      lockoutTime: '2 hours', monitor});
+    await lm.recordFailure('client', '1.2.3.4');
+    let lockedUntil = await lm.lockedUntil('client', '1.2.3.4');
+    assume(lockedUntil > taskcluster.fromNow('1 hour')).is.true();
+    let lockout = await Lockout.load({clientId: 'client', source: '1.2.3.4'});
+    assume(lockout.expires.getTime()).equals(lockedUntil.getTime());
+  });
+
+  test('does not lock out if the table cannot be read', async function() {
+    let lm = new LockoutManager({Lockout, threshold: 1, monitor});
+    await lm.recordFailure('client', '1.2.3.4');
+    let broken = new LockoutManager({
+      Lockout: {load: async () => { throw new Error('table unavailable'); }},
+      threshold: 1,
+      monitor,
+    });
+    assume(await broken.lockedUntil('client', '1.2.3.4')).equals(null);
+  });
+
+  test('caches at most cacheSize lockouts', async function() {
+    let lm = new LockoutManager({Lockout, threshold: 1, cacheSize: 2, monitor});
+    await lm.recordFailure('a', '1.2.3.4');
+    await lm.lockedUntil('b', '1.2.3.4');
+    await lm.lockedUntil('a', '1.2.3.4');
+    await lm.lockedUntil('c', '1.2.3.4');
+    assume(Array.from(lm._cache.keys())).deep.equals(['a\n1.2.3.4', 'c\n1.2.3.4']);
+  });
+});
@@ -0,0 +1,65 @@
+suite('nonce manager', function() {
+  var assume       = require('assume');
+  var noncemanager = require('../src/noncemanager');
+
+  var check = (nm, clientId, nonce, ts) => new Promise(resolve => {
+    nm(clientId, nonce, ts, err => resolve(!err));
+  });
+  var now = () => Math.floor(Date.now() / 1000);
+
+  test('accepts a new nonce', async function() {
+    let nm = noncemanager.nonceManager({size: 10});
+    assume(await check(nm, 'client', 'abc', now())).is.true();
+  });
+
+  test('rejects a repeated nonce', async function() {
+    let nm = noncemanager.nonceManager({size: 10});
+    let ts = now();
+    assume(await check(nm, 'client', 'abc', ts)).is.true();
+    assume(await check(nm, 'client', 'abc', ts)).is.false();
+  });
+
+  test('nonces are distinct per clientId and ts', async function() {
+    let nm = noncemanager.nonceManager({size: 10});
+    let ts = now();
+    assume(await check(nm, 'client', 'abc', ts)).is.true();
+    assume(await check(nm, 'other', 'abc', ts)).is.true();
+    assume(await check(nm, 'client', 'abc', ts + 1)).is.true();
+  });
+
+  test('forgets nonces outside the skew window', async function() {
+    let nm = noncemanager.nonceManager({size: 10, skewSec: 60});
+    let ts = now() - 120;
+    assume(await check(nm, 'client', 'abc', ts)).is.true();
+    assume(await check(nm, 'client', 'abc', ts)).is.true();
+  });
+
+  test('rejects invalid timestamps', async function() {
+    let nm = noncemanager.nonceManager({size: 10});
+    assume(await check(nm, 'client', 'abc', 'xyz')).is.false();
+  });
+
+  test('remembers at most size nonces', async function() {
+    let store = new noncemanager.MemoryNonceStore({size: 2});
+    let expires = new Date(Date.now() + 60 * 1000);
+    assume(await store.add('a', expires)).is.true();
+    assume(await store.add('b', expires)).is.true();
+    assume(await store.add('c', expires)).is.true();
+    assume(store._nonces.size).equals(2);
+    assume(await store.add('a', expires)).is.true();
+    assume(await store.add('c', expires)).is.false();
+  });
+
+  test('uses the given store', async function() {
+    let keys = [];
+    let nm = noncemanager.nonceManager({store: {
+      add: async (key, expires) => {
+        keys.push(key);
+        return true;
+      },
+    }});
+    let ts = now();
+    assume(await check(nm, 'client', 'abc', ts)).is.true();
+    assume(keys).deep.equals([`client/abc/${ts}`]);
+  });
+});
@@ -0,0 +1,98 @@
+suite('offlineresolver', () => {
+  let OfflineResolver = require('../src/offlineresolver');
+  let ScopeResolver   = require('../src/scoperesolver');
+  let certificatekeys = require('../src/certificatekeys');
+  let Monitor         = require('taskcluster-lib-monitor');
+  let taskcluster     = require('taskcluster-client');
+  let assert          = require('assert');
+  let assume          = require('assume');
+
+  let key = certificatekeys.loadSigningKey({
+    keyId: 'test-key',
+    secretKey: Buffer.alloc(32, 3).toString('base64'),
+  });
+  let certificateKeys = certificatekeys.fromJWKS(certificatekeys.toJWKS([key]));
+  let roles = [
+    {roleId: 'thing-id:*', scopes: ['thing:<..>']},
+    {roleId: 'group:admins', scopes: ['admin:*', 'assume:thing-id:admin']},
+  ];
+
+  let monitor, bundle;
+  suiteSetup(async () => {
+    monitor = await Monitor({project: 'mock-auth', mock: true});
+    let scopeResolver = new ScopeResolver({monitor});
+    let trie = scopeResolver.buildTrie(roles);
+    bundle = expires => OfflineResolver.createBundle({roles, trie}, expires, key);
+  });
+
+  test('resolves scopes with the bundle', async () => {
+    let fetches = 0;
+    let resolver = new OfflineResolver({
+      certificateKeys, monitor,
+      fetchBundle: async () => {
+        fetches++;
+        return bundle(taskcluster.fromNow('1 hour'));
+      },
+    });
+    let scopes = ['assume:group:admins', 'other'];
+    assume(await resolver.resolve(scopes)).deep.equals([
+      'admin:*',
+      'assume:group:admins',
+      'assume:thing-id:admin',
+      'other',
+      'thing:admin',
+    ]);
+    assume(scopes).deep.equals(['assume:group:admins', 'other']);
+    assume(await resolver.resolve(['assume:thing-id:x'])).deep.equals([
+      'assume:thing-id:x',
+      'thing:x',
+    ]);
+    assume(fetches).equals(1);
+  });
+
+  test('fetches a new bundle once the bundle has expired', async () => {
+    let fetches = 0;
+    let resolver = new OfflineResolver({
+      certificateKeys, monitor,
+      fetchBundle: async () => {
+        fetches++;
+        return bundle(taskcluster.fromNow('1 hour'));
+      },
+    });
+    resolver.load(bundle(taskcluster.fromNow('1 second')));
+    assume(resolver.isStale()).is.false();
+    resolver._expires = taskcluster.fromNow('-1 second');
+    assume(resolver.isStale()).is.true();
+    await resolver.resolve(['assume:thing-id:x']);
+    assume(fetches).equals(1);
+    assume(resolver.isStale()).is.false();
+  });
+
+  test('rejects expired bundles', async () => {
+    let resolver = new OfflineResolver({
+      certificateKeys, monitor,
+      fetchBundle: async () => bundle(taskcluster.fromNow('-1 minute')),
+    });
+    await resolver.resolve(['assume:thing-id:x']).then(
+      () => assert(false, 'expected an error'),
+      err => assume(err.message).equals('Offline bundle has expired'));
+  });
+
+  test('rejects bundles with a bad signature', () => {
+    let tampered = bundle(taskcluster.fromNow('1 hour'));
+    tampered.bundle = tampered.bundle.replace('thing:<..>', 'thing:*');
+    assume(() => OfflineResolver.verifyBundle(tampered, certificateKeys))
+      .throws('Offline bundle signature is not valid');
+  });
+
+  test('rejects bundles signed with an unknown key', () => {
+    let other = certificatekeys.loadSigningKey({
+      keyId: 'other-key',
+      secretKey: Buffer.alloc(32, 4).toString('base64'),
+    });
+    let signed = OfflineResolver.createBundle({roles: [], trie: {}},
+      taskcluster.fromNow('1 hour'), other);
+    assume(() => OfflineResolver.verifyBundle(signed, certificateKeys))
+      .throws('Offline bundle is signed with unknown key `other-key`');
+  });
+});
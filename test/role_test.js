@@ -8,6 +8,9 @@ suite('api (roles)', function() {
   var assume      = require('assume');
   var testing     = require('taskcluster-lib-testing');
   var taskcluster = require('taskcluster-client');
+  var Monitor     = require('taskcluster-lib-monitor');
+  var certificatekeys = require('../src/certificatekeys');
+  var OfflineResolver = require('../src/offlineresolver');
 
   let sorted = (arr) => {
     arr.sort();
@@ -127,9 +130,149 @@ suite('api (roles)', function() {
     ].sort());
   });
 
+  test('explainScope', async () => {
+    let result = await helper.auth.explainScope({
+      scopes: ['assume:thing-id:' + clientId],
+      scope: 'dummy-scope-1',
+    });
+    assume(result).deep.equals({
+      scope: 'dummy-scope-1',
+      satisfied: true,
+      chain: [
+        {scope: 'assume:thing-id:' + clientId},
+        {scope: 'dummy-scope-1', roleId: 'thing-id:' + clientId},
+      ],
+    });
+
+    result = await helper.auth.explainScope({
+      scopes: ['assume:thing-id:' + clientId],
+      scope: 'dummy-scope-3',
+    });
+    assume(result.satisfied).is.false();
+    assume(result.chain).deep.equals([]);
+  });
+
+  test('scopeHolders', async () => {
+    let result = await helper.auth.scopeHolders({scope: 'dummy-scope-1'});
+    assume(result.scope).equals('dummy-scope-1');
+    assume(result.clients.map(c => c.clientId)).contains(clientId);
+    assume(result.clients.find(c => c.clientId === clientId).disabled).is.false();
+    assume(result.roles).contains('thing-id:' + clientId);
+  });
+
+  test('offlineBundle', async () => {
+    let certificateKeys = certificatekeys.fromJWKS(await helper.auth.certificateKeys());
+    let resolver = new OfflineResolver({
+      certificateKeys,
+      fetchBundle: () => helper.auth.offlineBundle(),
+      monitor: await Monitor({project: 'mock-auth', mock: true}),
+    });
+    let scopes = await resolver.resolve(['assume:thing-id:' + clientId]);
+    assume(scopes.sort()).deep.equals([
+      'assume:thing-id:' + clientId,
+      'dummy-scope-1',
+      'auth:create-role:*',
+      'dummy-scope-2',
+    ].sort());
+  });
+
   test('listRoles', async () => {
-    let roles = await helper.auth.listRoles();
+    let {roles} = await helper.auth.listRoles();
     assert(roles.some(role => role.roleId === 'thing-id:' + clientId));
+    assert(roles.every(role => role.expandedScopes));
+  });
+
+  test('listRoles (prefix, without expandedScopes)', async () => {
+    let {roles, continuationToken} = await helper.auth.listRoles({
+      prefix: 'thing-id:' + clientId,
+      expandedScopes: 'false',
+    });
+    assume(roles.map(role => role.roleId)).deep.equals(['thing-id:' + clientId]);
+    assume(roles[0]).has.not.own('expandedScopes');
+    assume(continuationToken).is.undefined();
+  });
+
+  test('listRoles (paginated)', async () => {
+    let roleIds = [];
+    let query = {prefix: 'thing-id:', limit: 1};
+    while (true) {
+      let result = await helper.auth.listRoles(query);
+      assume(result.roles.length).is.atmost(1);
+      roleIds = roleIds.concat(result.roles.map(role => role.roleId));
+      if (!result.continuationToken) {
+        break;
+      }
+      query.continuationToken = result.continuationToken;
+    }
+    assume(roleIds).deep.equals(sorted([
+      'thing-id:' + clientId,
+      'thing-id:' + clientId.slice(0, 11) + '*',
+    ]));
+  });
+
+  test('listRoles (paginated, with URL-safe continuationTokens)', async () => {
+    let created = ['url-safe:>>>', 'url-safe:???', 'url-safe:~~~'];
+    for (let roleId of created) {
+      await helper.auth.createRole(roleId, {description: 'test role', scopes: []});
+    }
+    let roleIds = [];
+    let query = {prefix: 'url-safe:', limit: 1};
+    while (true) {
+      let result = await helper.auth.listRoles(query);
+      roleIds = roleIds.concat(result.roles.map(role => role.roleId));
+      if (!result.continuationToken) {
+        break;
+      }
+      assume(result.continuationToken).matches(/^[A-Za-z0-9_-]+$/);
+      query.continuationToken = result.continuationToken;
+    }
+    assume(roleIds).deep.equals(sorted(created));
+    for (let roleId of created) {
+      await helper.auth.deleteRole(roleId);
+    }
+  });
+
+  test('createRole (dryRun)', async () => {
+    let roleId = 'thing-id:' + clientId + '-dry';
+    let role = await helper.auth.createRole(roleId, {
+      description: 'dry run role',
+      scopes: ['dummy-scope-4'],
+    }, {dryRun: 'true'});
+    assume(role.expandedScopes).contains('dummy-scope-4');
+    assume(role.dryRun.expandedScopesAdded).contains('dummy-scope-4');
+    assume(role.dryRun.expandedScopesRemoved).deep.equals([]);
+    // the prefix role thing-id:<clientId[:11]>* expands to this role
+    assume(role.dryRun.roles.map(r => r.roleId)).contains('thing-id:' + clientId.slice(0, 11) + '*');
+
+    await helper.auth.role(roleId).then(() => {
+      assert(false, 'Expected error');
+    }, err => assert(err.statusCode === 404, 'Expected 404'));
+  });
+
+  test('updateRole (dryRun)', async () => {
+    let role = await helper.auth.updateRole('thing-id:' + clientId, {
+      description: 'test role',
+      scopes: ['dummy-scope-1', 'auth:create-role:*', 'dummy-scope-5'],
+    }, {dryRun: 'true'});
+    assume(role.dryRun.expandedScopesAdded).deep.equals(['dummy-scope-5']);
+    assume(role.dryRun.expandedScopesRemoved).deep.equals([]);
+    assume(role.dryRun.clients).deep.equals([
+      {clientId, added: ['dummy-scope-5'], removed: []},
+    ]);
+
+    role = await helper.auth.role('thing-id:' + clientId);
+    assume(role.scopes).not.contains('dummy-scope-5');
+    assume(role).has.not.own('dryRun');
+  });
+
+  test('updateRole (dryRun, caller does not have new scope)', async () => {
+    helper.scopes('auth:update-role:*');
+    await helper.auth.updateRole('thing-id:' + clientId, {
+      description: 'test role',
+      scopes: ['dummy-scope-1', 'auth:create-role:*', 'dummy-scope-5'],
+    }, {dryRun: 'true'}).then(() => {
+      assert(false, 'Expected error');
+    }, err => assert(err.statusCode === 403, 'Expected 403'));
   });
 
   test('updateRole (add scope)', async () => {
@@ -158,6 +301,32 @@ suite('api (roles)', function() {
     ].sort());
   });
 
+  test('updateRole (with ifMatch)', async () => {
+    let role = await helper.auth.role('thing-id:' + clientId);
+    let input = {
+      description: 'test role',
+      scopes: ['dummy-scope-1', 'auth:create-role:*', 'dummy-scope-4'],
+    };
+
+    let dryRun = await helper.auth.updateRole('thing-id:' + clientId, input,
+      {dryRun: 'true', ifMatch: role.etag});
+    assume(dryRun.dryRun.expandedScopesAdded).deep.equals(['dummy-scope-4']);
+
+    await helper.auth.updateRole('thing-id:' + clientId, input,
+      {ifMatch: 'not-the-etag'}).then(() => assert(false, 'Expected error'),
+      err => assert.equal(err.statusCode, 409));
+
+    // the etag of a role does not change when other roles are modified
+    await helper.auth.createRole('thing-id:' + clientId + '-other', {
+      description: 'other role',
+      scopes: [],
+    });
+    await helper.auth.deleteRole('thing-id:' + clientId + '-other');
+    let role2 = await helper.auth.role('thing-id:' + clientId);
+    assume(role2.etag).equals(role.etag);
+    assume(role2.scopes).not.contains('dummy-scope-4');
+  });
+
   test('deleteRole', async () => {
     await helper.events.listenFor('e1', helper.authEvents.roleDeleted());
 
@@ -174,6 +343,38 @@ suite('api (roles)', function() {
     await helper.events.waitFor('e1');
   });
 
+  test('roleHistory', async () => {
+    let {history} = await helper.auth.roleHistory('thing-id:' + clientId);
+    assume(history.map(({action}) => action)).deep.equals(['created', 'updated', 'deleted']);
+    assume(history.map(({clientId}) => clientId)).deep.equals(['root', 'root', 'root']);
+    assume(history[0].before).equals(null);
+    assume(sorted(history[0].after.scopes)).deep.equals(sorted(history[1].before.scopes));
+    assume(history[1].after.description).equals('test role');
+    assume(sorted(history[1].after.scopes)).deep.equals(sorted([
+      'dummy-scope-1', 'auth:create-role:*', 'dummy-scope-3',
+    ]));
+    assume(sorted(history[2].before.scopes)).deep.equals(sorted(history[1].after.scopes));
+    assume(history[2].after).equals(null);
+
+    // the prefix role was created by the test client
+    ({history} = await helper.auth.roleHistory('thing-id:' + clientId.slice(0, 11) + '*'));
+    assume(history[0].clientId).equals(clientId);
+  });
+
+  test('roleHistory (paginated)', async () => {
+    let query = {limit: 1};
+    let actions = [];
+    while (true) {
+      let result = await helper.auth.roleHistory('thing-id:' + clientId, query);
+      actions = actions.concat(result.history.map(({action}) => action));
+      if (!result.continuationToken) {
+        break;
+      }
+      query.continuationToken = result.continuationToken;
+    }
+    assume(actions).deep.equals(['created', 'updated', 'deleted']);
+  });
+
   test('create a role introducing a parameter cycle', async () => {
     await helper.auth.createRole('a*', {
       description: 'a*',
@@ -285,4 +486,181 @@ suite('api (roles)', function() {
       });
     });
   });
+
+  suite('importRoles / exportRoles', function() {
+    setup(async function() {
+      await helper.Roles.modify((roles) => roles.splice(0));
+      await helper.auth.createRole('import:kept', {
+        description: 'kept',
+        scopes: ['scope:kept'],
+      });
+      await helper.auth.createRole('import:updated', {
+        description: 'updated',
+        scopes: ['scope:old'],
+      });
+    });
+
+    teardown(async function() {
+      await helper.Roles.modify((roles) => roles.splice(0));
+    });
+
+    test('partial import', async () => {
+      let result = await helper.auth.importRoles({roles: [
+        {roleId: 'import:kept', description: 'kept', scopes: ['scope:kept']},
+        {roleId: 'import:updated', description: 'updated', scopes: ['scope:new']},
+        {roleId: 'import:created', description: 'created', scopes: ['assume:import:kept']},
+      ]});
+      assume(result).deep.equals({
+        created: ['import:created'],
+        updated: ['import:updated'],
+        deleted: [],
+      });
+
+      let role = await helper.auth.role('import:created');
+      assume(role.expandedScopes).contains('scope:kept');
+      role = await helper.auth.role('import:updated');
+      assume(role.scopes).deep.equals(['scope:new']);
+    });
+
+    test('full import with replace', async () => {
+      let result = await helper.auth.importRoles({replace: true, roles: [
+        {roleId: 'import:updated', description: 'updated', scopes: ['scope:new']},
+      ]});
+      assume(result).deep.equals({
+        created: [],
+        updated: ['import:updated'],
+        deleted: ['import:kept'],
+      });
+      let {roles} = await helper.auth.exportRoles();
+      assume(roles).deep.equals([
+        {roleId: 'import:updated', description: 'updated', scopes: ['scope:new']},
+      ]);
+    });
+
+    test('export and re-import changes nothing', async () => {
+      let exported = await helper.auth.exportRoles();
+      assume(exported.roles.map(r => r.roleId)).deep.equals(['import:kept', 'import:updated']);
+      let result = await helper.auth.importRoles(_.defaults({replace: true}, exported));
+      assume(result).deep.equals({created: [], updated: [], deleted: []});
+    });
+
+    test('export alongside a role named export', async () => {
+      await helper.auth.createRole('export', {description: 'export', scopes: []});
+      let {roles} = await helper.auth.exportRoles();
+      assume(roles.map(r => r.roleId)).deep.equals(['export', 'import:kept', 'import:updated']);
+      let role = await helper.auth.role('export');
+      assume(role.roleId).equals('export');
+    });
+
+    test('import introducing a cycle changes nothing', async () => {
+      await helper.auth.importRoles({roles: [
+        {roleId: 'import:created', description: 'created', scopes: ['scope:x']},
+        {roleId: 'a*', description: 'a*', scopes: ['assume:b<..>']},
+        {roleId: 'b*', description: 'b*', scopes: ['assume:a<..>']},
+      ]}).then(() => assert(false, 'Expected an error'),
+        err => assert.equal(err.statusCode, 400));
+      let {roles} = await helper.auth.exportRoles();
+      assume(roles.map(r => r.roleId)).deep.equals(['import:kept', 'import:updated']);
+    });
+
+    test('import with duplicate roleIds', async () => {
+      await helper.auth.importRoles({roles: [
+        {roleId: 'import:kept', description: 'kept', scopes: ['scope:kept']},
+        {roleId: 'import:kept', description: 'kept', scopes: []},
+      ]}).then(() => assert(false, 'Expected an error'),
+        err => assert.equal(err.statusCode, 400));
+    });
+
+    test('caller does not have scopes for a change', async () => {
+      helper.scopes('auth:create-role:*', 'auth:update-role:*', 'scope:new');
+      await helper.auth.importRoles({replace: true, roles: [
+        {roleId: 'import:updated', description: 'updated', scopes: ['scope:new']},
+      ]}).then(() => assert(false, 'Expected an error'),
+        err => assert.equal(err.statusCode, 403));
+      let {roles} = await helper.auth.exportRoles();
+      assume(roles.map(r => r.roleId)).deep.equals(['import:kept', 'import:updated']);
+    });
+  });
+
+  suite('freezeRoles / unfreezeRoles', function() {
+    teardown(async function() {
+      helper.scopes();
+      await helper.auth.unfreezeRoles();
+      await helper.Roles.modify((roles) => roles.splice(0));
+    });
+
+    test('role modifications fail while frozen', async () => {
+      let freeze = await helper.auth.freezeRoles({reason: 'migrating roles'});
+      assume(freeze.frozen).is.true();
+      assume(freeze.clientId).equals('root');
+      assume(await helper.auth.roleFreeze()).deep.equals(freeze);
+
+      await helper.auth.createRole('frozen-role', {
+        description: 'frozen',
+        scopes: [],
+      }).then(() => assert(false, 'Expected an error'), err => {
+        assert.equal(err.statusCode, 400);
+        assume(err.message).contains('migrating roles');
+      });
+
+      // dry runs still work
+      await helper.auth.createRole('frozen-role', {
+        description: 'frozen',
+        scopes: [],
+      }, {dryRun: 'true'});
+
+      await helper.auth.unfreezeRoles();
+      assume(await helper.auth.roleFreeze()).deep.equals({frozen: false});
+      await helper.auth.createRole('frozen-role', {
+        description: 'frozen',
+        scopes: [],
+      });
+    });
+
+    test('a freeze taking effect during a modification is respected', async () => {
+      // simulate a freeze set just before the roles are written, as happens when
+      // a modification is retried after freezeRoles rewrote the roles
+      let modify = helper.Roles.modify;
+      helper.Roles.modify = async function(modifier) {
+        await helper.RoleFreeze.set({
+          reason: 'late freeze',
+          clientId: 'root',
+          created: new Date().toJSON(),
+        });
+        return modify.call(this, modifier);
+      };
+      try {
+        await helper.auth.createRole('late-frozen-role', {
+          description: 'frozen',
+          scopes: [],
+        }).then(() => assert(false, 'Expected an error'), err => {
+          assert.equal(err.statusCode, 400);
+          assume(err.message).contains('late freeze');
+        });
+      } finally {
+        helper.Roles.modify = modify;
+      }
+      let roles = await helper.Roles.get();
+      assume(_.map(roles, 'roleId')).not.contains('late-frozen-role');
+    });
+
+    test('freeze with expires', async () => {
+      let expires = taskcluster.fromNow('1 hour').toJSON();
+      let freeze = await helper.auth.freezeRoles({reason: 'short freeze', expires});
+      assume(freeze.expires).equals(expires);
+
+      await helper.auth.freezeRoles({
+        reason: 'already over',
+        expires: taskcluster.fromNow('-1 hour'),
+      }).then(() => assert(false, 'Expected an error'),
+        err => assert.equal(err.statusCode, 400));
+    });
+
+    test('freezeRoles requires auth:freeze-roles', async () => {
+      helper.scopes('auth:create-role:*');
+      await helper.auth.freezeRoles({reason: 'nope'}).then(
+        () => assert(false, 'Expected an error'),
+        err => assert.equal(err.statusCode, 403));
+    });
+  });
 });
@@ -338,6 +338,171 @@ suite('scoperesolver', () => {
     });
   });
 
+  suite('explain', function() {
+    const roles = [
+      {roleId: 'client-id:root', scopes: ['assume:project-admin:foo']},
+      {roleId: 'project-admin:*', scopes: ['assume:project:<..>', 'auth:admin']},
+      {roleId: 'project:*', scopes: ['queue:create-task:<..>/*']},
+      {roleId: 'other', scopes: ['queue:create-task:other/*']},
+    ];
+    const testExplain = (title, {scopes, scope, expected}) => {
+      test(title, function() {
+        const resolver = new ScopeResolver({monitor, disableCache: true});
+        resolver._rebuildResolver(roles, []);
+        assert.deepEqual(resolver.explain(scopes, scope), expected);
+      });
+    };
+
+    testExplain('scope given directly', {
+      scopes: ['queue:*'],
+      scope: 'queue:create-task:foo/bar',
+      expected: [{scope: 'queue:*'}],
+    });
+
+    testExplain('scope not satisfied', {
+      scopes: ['assume:other'],
+      scope: 'queue:create-task:foo/bar',
+      expected: null,
+    });
+
+    testExplain('chain through parameterized roles', {
+      scopes: ['assume:client-id:root'],
+      scope: 'queue:create-task:foo/bar',
+      expected: [
+        {scope: 'assume:client-id:root'},
+        {scope: 'assume:project-admin:foo', roleId: 'client-id:root'},
+        {scope: 'assume:project:foo', roleId: 'project-admin:*', parameter: 'foo'},
+        {scope: 'queue:create-task:foo/*', roleId: 'project:*', parameter: 'foo'},
+      ],
+    });
+
+    testExplain('chain from a star scope', {
+      scopes: ['assume:project-admin:*'],
+      scope: 'queue:create-task:foo/bar',
+      expected: [
+        {scope: 'assume:project-admin:*'},
+        {scope: 'assume:project:*', roleId: 'project-admin:*', parameter: '*'},
+        {scope: 'queue:create-task:*', roleId: 'project:*', parameter: '*'},
+      ],
+    });
+
+    testExplain('non-parameterized scope of a parameterized role', {
+      scopes: ['assume:project-admin:foo'],
+      scope: 'auth:admin',
+      expected: [
+        {scope: 'assume:project-admin:foo'},
+        {scope: 'auth:admin', roleId: 'project-admin:*'},
+      ],
+    });
+  });
+
+  suite('holders', function() {
+    const roles = [
+      {roleId: 'project-admin:*', scopes: ['assume:project:<..>']},
+      {roleId: 'project:*', scopes: ['queue:create-task:<..>/*']},
+      {roleId: 'other', scopes: ['queue:create-task:other/*']},
+    ];
+    const future = new Date(Date.now() + 60000);
+    const past = new Date(Date.now() - 60000);
+    const client = (clientId, scopes, options = {}) => _.defaults({
+      clientId,
+      unexpandedScopes: scopes,
+    }, options, {
+      disabled: false,
+      expires: future,
+    });
+    const holder = (clientId, options = {}) => _.defaults({clientId}, options, {
+      disabled: false,
+      expires: future,
+    });
+    let resolver;
+    before(function() {
+      resolver = new ScopeResolver({monitor, disableCache: true});
+      resolver._rebuildResolver(roles, [
+        client('admin', ['assume:project-admin:foo']),
+        client('star', ['queue:*']),
+        client('bar', ['assume:project:bar']),
+        client('disabled', ['queue:*'], {disabled: true}),
+        client('expired', ['queue:*'], {expires: past}),
+      ]);
+    });
+
+    test('scope held through roles', function() {
+      assert.deepEqual(resolver.holders('queue:create-task:foo/bar'), {
+        clients: [
+          holder('admin'),
+          holder('disabled', {disabled: true}),
+          holder('expired', {expires: past}),
+          holder('star'),
+        ],
+        roles: ['project-admin:*', 'project:*'],
+      });
+    });
+
+    test('scope held by a non-parameterized role', function() {
+      assert.deepEqual(resolver.holders('queue:create-task:other/x'), {
+        clients: [
+          holder('disabled', {disabled: true}),
+          holder('expired', {expires: past}),
+          holder('star'),
+        ],
+        roles: ['other', 'project-admin:*', 'project:*'],
+      });
+    });
+
+    test('scope held by nobody', function() {
+      assert.deepEqual(resolver.holders('auth:admin'), {clients: [], roles: []});
+    });
+  });
+
+  suite('reloadRoles', function() {
+    test('reloads requested before a reload starts are shared', async function() {
+      const resolver = new ScopeResolver({monitor, disableCache: true});
+      let loads = 0;
+      resolver._Roles = {get: async () => {
+        loads++;
+        return [{roleId: 'thing', scopes: ['scope']}];
+      }};
+      resolver._rebuildResolver([], []);
+
+      await Promise.all(_.range(10).map(() => resolver.reloadRoles()));
+      assert.equal(loads, 1);
+      await resolver.reloadRoles();
+      assert.equal(loads, 2);
+      assert.deepEqual(resolver.resolve(['assume:thing']), ['assume:thing', 'scope']);
+    });
+  });
+
+  suite('diffRoles', function() {
+    test('changes to roles and clients are listed', function() {
+      const resolver = new ScopeResolver({monitor, disableCache: true});
+      resolver._rebuildResolver([
+        {roleId: 'a', scopes: ['assume:b', 'x']},
+        {roleId: 'b', scopes: ['y']},
+        {roleId: 'c', scopes: ['z']},
+      ], [
+        {clientId: 'uses-a', unexpandedScopes: ['assume:a']},
+        {clientId: 'uses-c', unexpandedScopes: ['assume:c']},
+      ]);
+      const roles = [
+        {roleId: 'a', scopes: ['assume:b', 'x']},
+        {roleId: 'b', scopes: ['y2']},
+        {roleId: 'c', scopes: ['z']},
+        {roleId: 'd', scopes: ['w']},
+      ];
+      assert.deepEqual(resolver.diffRoles(roles, resolver.buildResolver(roles)), {
+        roles: [
+          {roleId: 'a', added: ['y2'], removed: ['y']},
+          {roleId: 'b', added: ['y2'], removed: ['y']},
+          {roleId: 'd', added: ['w'], removed: []},
+        ],
+        clients: [
+          {clientId: 'uses-a', added: ['y2'], removed: ['y']},
+        ],
+      });
+    });
+  });
+
   suite('performance', function() {
     const shouldMeasure = process.env.MEASURE_PERFORMANCE;
     let time;
@@ -10,13 +10,28 @@ suite('signature validation', function() {
   var crypto       = require('crypto');
   var taskcluster  = require('taskcluster-client');
   var sigvalidator = require('../src/signaturevalidator');
+  var noncemanager = require('../src/noncemanager');
+  var LockoutManager = require('../src/lockoutmanager');
+  var data         = require('../src/data');
+  var certificatekeys = require('../src/certificatekeys');
+  var nacl         = require('tweetnacl');
   var Monitor      = require('taskcluster-lib-monitor');
 
   var one_hour = taskcluster.fromNow('1 hour');
   var two_hours = taskcluster.fromNow('2 hour');
   var three_hours = taskcluster.fromNow('3 hour');
 
+  var signingKey = certificatekeys.loadSigningKey({
+    keyId: 'test-key',
+    secretKey: Buffer.alloc(32, 1).toString('base64'),
+  });
+  var otherKey = certificatekeys.loadSigningKey({
+    keyId: 'test-key',
+    secretKey: Buffer.alloc(32, 2).toString('base64'),
+  });
+
   var validator;
+  var revokedSeed = slugid.v4() + slugid.v4();
   var clients = {
     root: {
       clientId: 'root',
@@ -30,17 +45,35 @@ suite('signature validation', function() {
       expires: two_hours,
       scopes: ['scope2'],
     },
+    rotating: {
+      clientId: 'rotating',
+      accessToken: 'rotating-secret',
+      previousAccessToken: 'rotating-old-secret',
+      expires: two_hours,
+      scopes: ['scope3'],
+    },
+    restricted: {
+      clientId: 'restricted',
+      accessToken: 'restricted-secret',
+      expires: two_hours,
+      scopes: ['scope4'],
+      allowedNetworks: ['10.0.0.0/8', '2001:db8::/32'],
+    },
   };
 
   before(async function() {
     validator = sigvalidator.createSignatureValidator({
       clientLoader: async clientId => {
         if (!clients[clientId]) {
-          throw new Error('no such clientId');
+          throw sigvalidator.authError('client-not-found', 'no such clientId');
         }
         return clients[clientId];
       },
       expandScopes: scopes => scopes,
+      isCertificateRevoked: (issuer, seed) => issuer === 'root' && seed === revokedSeed,
+      nonceManager: noncemanager.nonceManager({size: 100}),
+      bearerTokenSecret: 'bearer-secret',
+      certificateKeys: {'test-key': signingKey.publicKey},
       monitor: await Monitor({project: 'foo', mock: true}),
     });
   });
@@ -59,7 +92,8 @@ suite('signature validation', function() {
         port: 443,
       });
 
-      if (input.authorization) {
+      // string authorization headers (e.g., bearer tokens) are used as-is
+      if (input.authorization && typeof input.authorization === 'object') {
         let creds = input.authorization.credentials || {};
         input.authorization.credentials = _.defaults({}, creds, {
           key: creds.id + '-secret',
@@ -119,9 +153,13 @@ suite('signature validation', function() {
      *   scopes: scopes for cert
      *   credentialName: credentialName to include in sig
      *   issuer: issuer to include in cert/sig
+     *   seed: seed for cert (default random)
      *   omitClientIdFromSig: if true, omit the `clientId` line from the signature
      *   omitIssuerFromCert: if true, omit the `issuer` property of the cert
      *   omitIssuerFromSig: if true, omit the `issuer` line from the signature
+     *   version: certificate version (default 1)
+     *   signingKey: key signing a version 2 cert (default signingKey)
+     *   temporaryKey: function computing the temporary key from the cert
      * }
      */
     let makeInput = () => {
@@ -140,11 +178,11 @@ suite('signature validation', function() {
 
       // Construct certificate
       var cert = {
-        version:    1,
+        version:    options.version || 1,
         scopes:     _.cloneDeep(options.scopes),
         start:      options.start.getTime(),
         expiry:     options.expiry.getTime(),
-        seed:       slugid.v4() + slugid.v4(),
+        seed:       options.seed || slugid.v4() + slugid.v4(),
         signature:  null,  // generated later
       };
 
@@ -153,7 +191,22 @@ suite('signature validation', function() {
       }
 
       // Construct signature
-      if (options.signature) {
+      if (cert.version === 2) {
+        let key = options.signingKey || signingKey;
+        cert.kid = key.kid;
+        let content = ['version:2', 'kid:' + cert.kid];
+        if (options.issuer) {
+          content.push('clientId:' + options.credentialName);
+          content.push('issuer:'   + options.issuer);
+        }
+        content.push('seed:'       + cert.seed);
+        content.push('start:'      + cert.start);
+        content.push('expiry:'     + cert.expiry);
+        content.push('scopes:');
+        content = content.concat(cert.scopes).join('\n');
+        cert.signature = Buffer.from(nacl.sign.detached(
+          Buffer.from(content), key.secretKey)).toString('base64');
+      } else if (options.signature) {
         cert.signature = crypto
           .createHmac('sha256', options.signature)
           .digest('base64');
@@ -175,7 +228,7 @@ suite('signature validation', function() {
       }
 
       // Construct temporary key
-      var accessToken = crypto
+      var accessToken = options.temporaryKey ? options.temporaryKey(cert) : crypto
         .createHmac('sha256', options.accessToken)
         .update(cert.seed)
         .digest('base64')
@@ -207,11 +260,14 @@ suite('signature validation', function() {
     if (options.expires) {
       exp.expires = options.expires;
     }
+    if (options.allowedNetworks) {
+      exp.allowedNetworks = options.allowedNetworks;
+    }
     return exp;
   };
 
-  let failed = function(message) {
-    return {status: 'auth-failed', message};
+  let failed = function(reason, message) {
+    return {status: 'auth-failed', reason, message};
   };
 
   test('simple credentials', {
@@ -227,6 +283,254 @@ suite('signature validation', function() {
     },
   }, success(['*'], {hash: 'XtNvx1FqrUYVOLlne3l2WzcyRfj9QeC6YtmhMKKFMGY='}));
 
+  test('simple credentials with verified payload', {
+    authorization: {
+      credentials: {id: 'root'},
+      payload: '{"a": 1}',
+      contentType: 'application/json',
+    },
+    payload: '{"a": 1}',
+    contentType: 'application/json',
+  }, success(['*'], {hash: 'QPkzvjY3pLmhIW12AiNFWbM185+wGdY3ok5QUB6MrZk='}));
+
+  test('simple credentials with verified payload hash', {
+    authorization: {
+      credentials: {id: 'root'},
+      payload: '{}',
+    },
+    payloadHash: 'XtNvx1FqrUYVOLlne3l2WzcyRfj9QeC6YtmhMKKFMGY=',
+  }, success(['*'], {hash: 'XtNvx1FqrUYVOLlne3l2WzcyRfj9QeC6YtmhMKKFMGY='}));
+
+  test('invalid: simple credentials with swapped payload', {
+    authorization: {
+      credentials: {id: 'root'},
+      payload: '{"a": 1}',
+      contentType: 'application/json',
+    },
+    payload: '{"a": 2}',
+    contentType: 'application/json',
+  }, failed('bad-payload-hash', 'Bad payload hash'));
+
+  test('invalid: simple credentials with wrong payload hash', {
+    authorization: {
+      credentials: {id: 'root'},
+      payload: '{}',
+    },
+    payloadHash: 'QPkzvjY3pLmhIW12AiNFWbM185+wGdY3ok5QUB6MrZk=',
+  }, failed('bad-payload-hash', 'Bad payload hash'));
+
+  test('invalid: simple credentials without payload hash', {
+    authorization: {
+      credentials: {id: 'root'},
+    },
+    payload: '{}',
+  }, failed('bad-payload-hash', 'Missing required payload hash'));
+
+  mocha.test('invalid: replayed request', async function() {
+    let input = {
+      method: 'GET',
+      resource: '/',
+      host: 'test.taskcluster.net',
+      port: 443,
+      authorization: hawk.client.header('https://test.taskcluster.net/', 'GET', {
+        credentials: {id: 'root', key: 'root-secret', algorithm: 'sha256'},
+      }).field,
+    };
+    assume(await validator(input)).to.deeply.equal(success(['*']));
+    assume(await validator(input)).to.deeply.equal(
+      failed('replayed-request', 'Unauthorized: Invalid nonce'));
+  });
+
+  mocha.test('invalid: locked out after repeated bad signatures', async function() {
+    let monitor = await Monitor({project: 'foo', mock: true});
+    let Lockout = data.Lockout.setup({
+      table: 'SignatureValidatorLockout',
+      account: 'inMemory',
+      credentials: null,
+      signingKey: 'not-a-secret',
+    });
+    await Lockout.ensureTable();
+    let lockoutManager = new LockoutManager({Lockout, threshold: 2, monitor});
+    let lockingValidator = sigvalidator.createSignatureValidator({
+      clientLoader: async clientId => clients[clientId],
+      lockoutManager,
+      monitor,
+    });
+    let input = key => ({
+      method: 'GET',
+      resource: '/',
+      host: 'test.taskcluster.net',
+      port: 443,
+      sourceIp: '1.2.3.4',
+      authorization: hawk.client.header('https://test.taskcluster.net/', 'GET', {
+        credentials: {id: 'unpriv', key, algorithm: 'sha256'},
+      }).field,
+    });
+    assume(await lockingValidator(input('wrong'))).to.deeply.equal(
+      failed('bad-signature', 'Unauthorized: Bad mac'));
+    assume(await lockingValidator(input('unpriv-secret'))).to.deeply.equal(success(['scope2'], {
+      clientId: 'unpriv',
+    }));
+    await lockingValidator(input('wrong'));
+
+    let result = await lockingValidator(input('unpriv-secret'));
+    assume(result.reason).equals('locked-out');
+    let lockouts = await lockoutManager.lockouts();
+    assume(lockouts.map(l => l.source)).deep.equals(['1.2.3.4']);
+    assume(lockouts[0].failures).equals(2);
+  });
+
+  mocha.test('valid: bad signatures from an unknown source do not lock out', async function() {
+    let monitor = await Monitor({project: 'foo', mock: true});
+    let Lockout = data.Lockout.setup({
+      table: 'SignatureValidatorUnknownLockout',
+      account: 'inMemory',
+      credentials: null,
+      signingKey: 'not-a-secret',
+    });
+    await Lockout.ensureTable();
+    let lockoutManager = new LockoutManager({Lockout, threshold: 1, monitor});
+    let lockingValidator = sigvalidator.createSignatureValidator({
+      clientLoader: async clientId => clients[clientId],
+      lockoutManager,
+      monitor,
+    });
+    let input = key => ({
+      method: 'GET',
+      resource: '/',
+      host: 'test.taskcluster.net',
+      port: 443,
+      authorization: hawk.client.header('https://test.taskcluster.net/', 'GET', {
+        credentials: {id: 'unpriv', key, algorithm: 'sha256'},
+      }).field,
+    });
+    assume(await lockingValidator(input('wrong'))).to.deeply.equal(
+      failed('bad-signature', 'Unauthorized: Bad mac'));
+    assume(await lockingValidator(input('wrong'))).to.deeply.equal(
+      failed('bad-signature', 'Unauthorized: Bad mac'));
+    assume(await lockingValidator(input('unpriv-secret'))).to.deeply.equal(success(['scope2'], {
+      clientId: 'unpriv',
+    }));
+    assume(await lockoutManager.lockouts()).deep.equals([]);
+  });
+
+  test('restricted client from an allowed network', {
+    authorization: {
+      credentials: {id: 'restricted'},
+    },
+    sourceIp: '10.1.2.3',
+  }, success(['scope4'], {
+    clientId: 'restricted',
+    allowedNetworks: ['10.0.0.0/8', '2001:db8::/32'],
+  }));
+
+  test('restricted client from an allowed IPv6 network', {
+    authorization: {
+      credentials: {id: 'restricted'},
+    },
+    sourceIp: '2001:db8::1',
+  }, success(['scope4'], {
+    clientId: 'restricted',
+    allowedNetworks: ['10.0.0.0/8', '2001:db8::/32'],
+  }));
+
+  test('invalid: restricted client from another network', {
+    authorization: {
+      credentials: {id: 'restricted'},
+    },
+    sourceIp: '192.168.1.1',
+  }, failed('source-not-allowed',
+    'Client with clientId \'restricted\' cannot be used from 192.168.1.1'));
+
+  test('invalid: restricted client from an unknown source', {
+    authorization: {
+      credentials: {id: 'restricted'},
+    },
+  }, failed('source-not-allowed',
+    'Client with clientId \'restricted\' cannot be used from an unknown source'));
+
+  // the caller must check the source itself, using allowedNetworks
+  mocha.test('restricted client from an unknown source, if allowed', async function() {
+    let lenientValidator = sigvalidator.createSignatureValidator({
+      clientLoader: async clientId => clients[clientId],
+      allowUnknownSource: true,
+      monitor: await Monitor({project: 'foo', mock: true}),
+    });
+    let result = await lenientValidator({
+      method: 'GET',
+      resource: '/',
+      host: 'test.taskcluster.net',
+      port: 443,
+      authorization: hawk.client.header('https://test.taskcluster.net/', 'GET', {
+        credentials: {id: 'restricted', key: 'restricted-secret', algorithm: 'sha256'},
+      }).field,
+    });
+    assume(result).to.deeply.equal(success(['scope4'], {
+      clientId: 'restricted',
+      allowedNetworks: ['10.0.0.0/8', '2001:db8::/32'],
+    }));
+  });
+
+  test('invalid: restricted client with a malformed source', {
+    authorization: {
+      credentials: {id: 'restricted'},
+    },
+    sourceIp: 'not-an-address',
+  }, failed('source-not-allowed',
+    'Client with clientId \'restricted\' cannot be used from not-an-address'));
+
+  test('bearer token', () => ({
+    authorization: 'Bearer ' + sigvalidator.createBearerToken({
+      clientId: 'root', scopes: ['scope1'], expires: one_hour,
+    }, 'bearer-secret'),
+  }), {
+    status: 'auth-success',
+    scheme: 'bearer',
+    clientId: 'root',
+    scopes: ['scope1'],
+    expires: new Date(Math.floor(one_hour.getTime() / 1000) * 1000),
+  });
+
+  test('bearer token from an allowed network', () => ({
+    authorization: 'Bearer ' + sigvalidator.createBearerToken({
+      clientId: 'restricted', scopes: ['scope4'], expires: one_hour,
+      allowedNetworks: ['10.0.0.0/8'],
+    }, 'bearer-secret'),
+    sourceIp: '10.1.2.3',
+  }), {
+    status: 'auth-success',
+    scheme: 'bearer',
+    clientId: 'restricted',
+    scopes: ['scope4'],
+    expires: new Date(Math.floor(one_hour.getTime() / 1000) * 1000),
+    allowedNetworks: ['10.0.0.0/8'],
+  });
+
+  test('invalid: bearer token from another network', () => ({
+    authorization: 'Bearer ' + sigvalidator.createBearerToken({
+      clientId: 'restricted', scopes: ['scope4'], expires: one_hour,
+      allowedNetworks: ['10.0.0.0/8'],
+    }, 'bearer-secret'),
+    sourceIp: '192.168.1.1',
+  }), failed('source-not-allowed',
+    'Client with clientId \'restricted\' cannot be used from 192.168.1.1'));
+
+  test('invalid: expired bearer token', () => ({
+    authorization: 'Bearer ' + sigvalidator.createBearerToken({
+      clientId: 'root', scopes: ['scope1'], expires: taskcluster.fromNow('-1 hour'),
+    }, 'bearer-secret'),
+  }), failed('bearer-token-expired', 'Bearer token has expired'));
+
+  test('invalid: bearer token with the wrong secret', () => ({
+    authorization: 'Bearer ' + sigvalidator.createBearerToken({
+      clientId: 'root', scopes: ['scope1'], expires: one_hour,
+    }, 'wrong-secret'),
+  }), failed('bad-bearer-token', 'Bearer token is not valid: invalid signature'));
+
+  test('invalid: garbage bearer token', {
+    authorization: 'Bearer not-a-token',
+  }, failed('bad-bearer-token', 'Bearer token is not valid: jwt malformed'));
+
   test('simple credentials, empty ext', {
     authorization: {
       credentials: {id: 'root'},
@@ -251,7 +555,7 @@ suite('signature validation', function() {
         key: 'root-wrong-secret',
       },
     },
-  }, failed('Unauthorized: Bad mac'));
+  }, failed('bad-signature', 'Unauthorized: Bad mac'));
 
   test('simple credentials, bad id', {
     authorization: {
@@ -260,14 +564,32 @@ suite('signature validation', function() {
         key: 'root-secret',
       },
     },
-  }, failed('no such clientId'));
+  }, failed('client-not-found', 'no such clientId'));
+
+  test('simple credentials, previous accessToken', {
+    authorization: {
+      credentials: {
+        id: 'rotating',
+        key: 'rotating-old-secret',
+      },
+    },
+  }, success(['scope3'], {clientId: 'rotating'}));
+
+  test('simple credentials, wrong secret with previous accessToken', {
+    authorization: {
+      credentials: {
+        id: 'rotating',
+        key: 'rotating-wrong-secret',
+      },
+    },
+  }, failed('bad-signature', 'Unauthorized: Bad mac'));
 
   test('invalid: bad ext', {
     authorization: {
       credentials: {id: 'root'},
       ext: 'abcd',
     },
-  }, failed('Failed to parse ext'));
+  }, failed('bad-ext', 'Failed to parse ext'));
 
   test('invalid: non-object ext.certificate', {
     authorization: {
@@ -276,7 +598,7 @@ suite('signature validation', function() {
         certificate: true,
       },
     },
-  }, failed('ext.certificate must be a JSON object'));
+  }, failed('bad-certificate', 'ext.certificate must be a JSON object'));
 
   test('invalid: bad ext.certificate.version', {
     authorization: {
@@ -291,7 +613,7 @@ suite('signature validation', function() {
         },
       },
     },
-  }, failed('ext.certificate.version must be 1'));
+  }, failed('bad-certificate', 'ext.certificate.version must be 1 or 2'));
 
   test('invalid: bad seed type', {
     authorization: {
@@ -306,7 +628,7 @@ suite('signature validation', function() {
         },
       },
     },
-  }, failed('ext.certificate.seed must be a string'));
+  }, failed('bad-certificate', 'ext.certificate.seed must be a string'));
 
   test('invalid: bad seed length', {
     authorization: {
@@ -321,7 +643,7 @@ suite('signature validation', function() {
         },
       },
     },
-  }, failed('ext.certificate.seed must be 44 characters'));
+  }, failed('bad-certificate', 'ext.certificate.seed must be 44 characters'));
 
   test('invalid: bad seed length', {
     authorization: {
@@ -336,7 +658,7 @@ suite('signature validation', function() {
         },
       },
     },
-  }, failed('ext.certificate.seed must be 44 characters'));
+  }, failed('bad-certificate', 'ext.certificate.seed must be 44 characters'));
 
   test('invalid: bad start type', {
     authorization: {
@@ -351,7 +673,7 @@ suite('signature validation', function() {
         },
       },
     },
-  }, failed('ext.certificate.start must be a number'));
+  }, failed('bad-certificate', 'ext.certificate.start must be a number'));
 
   test('invalid: bad expiry type', {
     authorization: {
@@ -366,7 +688,7 @@ suite('signature validation', function() {
         },
       },
     },
-  }, failed('ext.certificate.expiry must be a number'));
+  }, failed('bad-certificate', 'ext.certificate.expiry must be a number'));
 
   test('invalid: bad scopes type', {
     authorization: {
@@ -381,7 +703,7 @@ suite('signature validation', function() {
         },
       },
     },
-  }, failed('ext.certificate.scopes must be an array'));
+  }, failed('bad-certificate', 'ext.certificate.scopes must be an array'));
 
   test('invalid: bad scope type', {
     authorization: {
@@ -396,7 +718,7 @@ suite('signature validation', function() {
         },
       },
     },
-  }, failed('ext.certificate.scopes must be an array of valid scopes'));
+  }, failed('bad-certificate', 'ext.certificate.scopes must be an array of valid scopes'));
 
   test('invalid: bad scope format', {
     authorization: {
@@ -411,7 +733,7 @@ suite('signature validation', function() {
         },
       },
     },
-  }, failed('ext.certificate.scopes must be an array of valid scopes'));
+  }, failed('bad-certificate', 'ext.certificate.scopes must be an array of valid scopes'));
 
   test('authorized scopes', {
     authorization: {
@@ -429,7 +751,7 @@ suite('signature validation', function() {
         authorizedScopes: ['scope1:*', 'scope2'],
       },
     },
-  }, failed('Supplied credentials do not satisfy authorizedScopes; '
+  }, failed('bad-authorized-scopes', 'Supplied credentials do not satisfy authorizedScopes; '
     + `credentials have scopes [${clients.unpriv.scopes}]; `
     + 'authorizedScopes are [scope1:*,scope2]'));
 
@@ -440,7 +762,7 @@ suite('signature validation', function() {
         authorizedScopes: 'scope1:*',
       },
     },
-  }, failed('ext.authorizedScopes must be an array'));
+  }, failed('bad-authorized-scopes', 'ext.authorizedScopes must be an array'));
 
   test('invalid: authorizedScopes invalid scope', {
     authorization: {
@@ -449,7 +771,7 @@ suite('signature validation', function() {
         authorizedScopes: ['scope1\n**'],
       },
     },
-  }, failed('ext.authorizedScopes must be an array of valid scopes'));
+  }, failed('bad-authorized-scopes', 'ext.authorizedScopes must be an array of valid scopes'));
 
   testWithTemp('basic temporary credentials', {
     id: 'root',
@@ -461,6 +783,17 @@ suite('signature validation', function() {
     },
   }), success(['tmpscope']));
 
+  testWithTemp('invalid: revoked temporary credentials', {
+    id: 'root',
+    scopes: ['tmpscope'],
+    seed: revokedSeed,
+  }, (id, key, certificate) => ({
+    authorization: {
+      credentials: {id, key},
+      ext: {certificate},
+    },
+  }), failed('certificate-revoked', 'ext.certificate has been revoked'));
+
   testWithTemp('invalid: expired temporary credentials', {
     start: taskcluster.fromNow('-2 hour'),
     expiry: taskcluster.fromNow('-1 hour'),
@@ -470,7 +803,7 @@ suite('signature validation', function() {
       credentials: {id, key},
       ext: {certificate},
     },
-  }), failed('ext.certificate.expiry < now'));
+  }), failed('certificate-expired', 'ext.certificate.expiry < now'));
 
   testWithTemp('temporary credentials that expire soon give correct expiration', {
     expiry: one_hour,
@@ -503,7 +836,7 @@ suite('signature validation', function() {
       credentials: {id, key},
       ext: {certificate},
     },
-  }), failed('ext.certificate.start > now'));
+  }), failed('bad-certificate', 'ext.certificate.start > now'));
 
   testWithTemp('invalid: year-long temporary credentials', {
     start: taskcluster.fromNow('-185 days'),
@@ -514,7 +847,7 @@ suite('signature validation', function() {
       credentials: {id, key},
       ext: {certificate},
     },
-  }), failed('ext.certificate cannot last longer than 31 days!'));
+  }), failed('bad-certificate', 'ext.certificate cannot last longer than 31 days!'));
 
   testWithTemp('invalid: bad signature for temp creds', {
     id: 'root',
@@ -524,7 +857,7 @@ suite('signature validation', function() {
       credentials: {id, key},
       ext: {certificate},
     },
-  }), failed('ext.certificate.signature is not valid'));
+  }), failed('bad-certificate', 'ext.certificate.signature is not valid'));
 
   testWithTemp('invalid: temp scopes not satisfied by issuing client', {
     id: 'unpriv',
@@ -534,8 +867,9 @@ suite('signature validation', function() {
       credentials: {id, key},
       ext: {certificate},
     },
-  }), failed('ext.certificate issuer `unpriv` doesn\'t satisfiy all certificate ' +
-             'scopes godlike.  The temporary credentials were not generated correctly.'));
+  }), failed('bad-certificate',
+    'ext.certificate issuer `unpriv` doesn\'t satisfiy all certificate ' +
+    'scopes godlike.  The temporary credentials were not generated correctly.'));
 
   testWithTemp('temporary credentials with authorizedScopes', {
     id: 'root',
@@ -561,7 +895,7 @@ suite('signature validation', function() {
         authorizedScopes: ['scope1', 'scope2'],
       },
     },
-  }), failed('Supplied credentials do not satisfy authorizedScopes; '
+  }), failed('bad-authorized-scopes', 'Supplied credentials do not satisfy authorizedScopes; '
     + `credentials have scopes [${clients.unpriv.scopes}]; `
     + 'authorizedScopes are [scope1,scope2]'));
 
@@ -576,8 +910,9 @@ suite('signature validation', function() {
         authorizedScopes: ['scope999'],
       },
     },
-  }), failed('ext.certificate issuer `unpriv` doesn\'t satisfiy all certificate scopes ' +
-             'scope999.  The temporary credentials were not generated correctly.'));
+  }), failed('bad-certificate',
+    'ext.certificate issuer `unpriv` doesn\'t satisfiy all certificate scopes ' +
+    'scope999.  The temporary credentials were not generated correctly.'));
 
   testWithTemp('named temporary credentials', {
     id: 'my-temp-cred',
@@ -623,7 +958,7 @@ suite('signature validation', function() {
         certificate,
       },
     },
-  }), failed('ext.certificate.issuer must differ from the supplied clientId'));
+  }), failed('bad-certificate', 'ext.certificate.issuer must differ from the supplied clientId'));
 
   testWithTemp('invalid: named temporary credentials clientId != name', {
     id: 'some-temp-cred',
@@ -638,7 +973,8 @@ suite('signature validation', function() {
         certificate,
       },
     },
-  }), failed('ext.certificate.signature is not valid, or wrong clientId provided'));
+  }), failed('bad-certificate',
+    'ext.certificate.signature is not valid, or wrong clientId provided'));
 
   testWithTemp('invalid: named temporary credentials with issuer but no name in signature', {
     id: 'my-temp-cred',
@@ -654,7 +990,8 @@ suite('signature validation', function() {
         certificate,
       },
     },
-  }), failed('ext.certificate.signature is not valid, or wrong clientId provided'));
+  }), failed('bad-certificate',
+    'ext.certificate.signature is not valid, or wrong clientId provided'));
 
   testWithTemp('invalid: named temporary credentials with name that issuer cannot create', {
     id: 'cant-create-this',
@@ -669,8 +1006,95 @@ suite('signature validation', function() {
         certificate,
       },
     },
-  }), failed('ext.certificate issuer `unpriv` doesn\'t have ' +
-             '`auth:create-client:cant-create-this` for supplied clientId.'));
+  }), failed('bad-certificate',
+    'ext.certificate issuer `unpriv` doesn\'t have ' +
+    '`auth:create-client:cant-create-this` for supplied clientId.'));
+
+  testWithTemp('temporary credentials from previous accessToken', {
+    id: 'rotating',
+    accessToken: 'rotating-old-secret',
+    scopes: ['scope3'],
+  }, (id, key, certificate) => ({
+    authorization: {
+      credentials: {id, key},
+      ext: {certificate},
+    },
+  }), success(['scope3'], {clientId: 'rotating'}));
+
+  testWithTemp('version 2 temporary credentials', {
+    id: 'root',
+    scopes: ['tmpscope'],
+    version: 2,
+  }, (id, key, certificate) => ({
+    authorization: {
+      credentials: {id, key},
+      ext: {certificate},
+    },
+  }), success(['tmpscope']));
+
+  testWithTemp('named version 2 temporary credentials', {
+    id: 'my-temp-cred',
+    scopes: ['tmpscope'],
+    credentialName: 'my-temp-cred',
+    issuer: 'root',
+    accessToken: 'root-secret',
+    version: 2,
+  }, (id, key, certificate) => ({
+    authorization: {
+      credentials: {id, key},
+      ext: {certificate},
+    },
+  }), success(['tmpscope'], {clientId: 'my-temp-cred'}));
+
+  // the certificate is not secret, so it must not give the temporary key
+  testWithTemp('invalid: version 2 temporary credentials with a key from the certificate', {
+    id: 'root',
+    scopes: ['tmpscope'],
+    version: 2,
+    temporaryKey: cert => sigvalidator.temporaryAccessToken(cert.seed, cert.signature),
+  }, (id, key, certificate) => ({
+    authorization: {
+      credentials: {id, key},
+      ext: {certificate},
+    },
+  }), failed('bad-signature', 'Unauthorized: Bad mac'));
+
+  testWithTemp('invalid: version 2 temporary credentials signed with another key', {
+    id: 'root',
+    scopes: ['tmpscope'],
+    version: 2,
+    signingKey: otherKey,
+  }, (id, key, certificate) => ({
+    authorization: {
+      credentials: {id, key},
+      ext: {certificate},
+    },
+  }), failed('bad-certificate', 'ext.certificate.signature is not valid'));
+
+  testWithTemp('invalid: version 2 temporary credentials with unknown kid', {
+    id: 'root',
+    scopes: ['tmpscope'],
+    version: 2,
+    signingKey: _.defaults({kid: 'unknown-key'}, otherKey),
+  }, (id, key, certificate) => ({
+    authorization: {
+      credentials: {id, key},
+      ext: {certificate},
+    },
+  }), failed('bad-certificate', 'ext.certificate.kid `unknown-key` is not a known key'));
+
+  testWithTemp('invalid: version 2 temp scopes not satisfied by issuing client', {
+    id: 'unpriv',
+    scopes: ['godlike'],
+    version: 2,
+  }, (id, key, certificate) => ({
+    authorization: {
+      credentials: {id, key},
+      ext: {certificate},
+    },
+  }), failed('bad-certificate',
+    'ext.certificate issuer `unpriv` doesn\'t satisfiy all certificate ' +
+    'scopes godlike.  The temporary credentials were not generated correctly.'));
 
   test('simple bewit', {
     bewit: {
@@ -692,23 +1116,30 @@ suite('signature validation', function() {
       id: 'root',
       key: 'not-root',
     },
-  }, failed('Unauthorized: Bad mac'));
+  }, failed('bad-signature', 'Unauthorized: Bad mac'));
+
+  test('bewit with previous accessToken', {
+    bewit: {
+      id: 'rotating',
+      key: 'rotating-old-secret',
+    },
+  }, success(['scope3'], {clientId: 'rotating'}));
 
   test('invalid: bogus bewit', {
     resource: '/?bewit=' + slugid.v4(),
-  }, failed('Bad Request: Invalid bewit structure'));
+  }, failed('bad-header', 'Bad Request: Invalid bewit structure'));
 
   test('invalid: bewit with unknown client', {
     bewit: {
       id: 'somebody',
     },
-  }, failed('no such clientId'));
+  }, failed('client-not-found', 'no such clientId'));
 
   test('bewit with unknown client', {
     bewit: {
       id: 'somebody',
     },
-  }, failed('no such clientId'));
+  }, failed('client-not-found', 'no such clientId'));
 
   testWithTemp('bewit based on temporary creds', {
     id: 'root',
@@ -747,4 +1178,36 @@ suite('signature validation', function() {
       },
     },
   }), success(['scope3'], {clientId: 'root/temp-url'}));
+
+  mocha.test('limitClientWithExt verifies version 2 certificates offline', function() {
+    let keys = certificatekeys.fromJWKS(certificatekeys.toJWKS([signingKey]));
+    let seed = slugid.v4() + slugid.v4();
+    let cert = {
+      version:  2,
+      kid:      'test-key',
+      issuer:   'root',
+      seed,
+      start:    Date.now(),
+      expiry:   one_hour.getTime(),
+      scopes:   ['tmpscope'],
+    };
+    cert.signature = sigvalidator.signCertificate(cert, 'my-temp-cred', signingKey);
+
+    // without the issuer's accessToken, only the certificate is verified
+    let res = sigvalidator.limitClientWithExt('my-temp-cred', 'root', null, null, null,
+      {certificate: cert}, scopes => scopes, null, keys);
+    assume(res.scopes).deep.equals(['tmpscope']);
+    assume(res.expires).deep.equals(one_hour);
+    assume(res.accessToken).equals(null);
+
+    // the temporary key is derived from the issuer's accessToken
+    res = sigvalidator.limitClientWithExt('my-temp-cred', 'root', 'root-secret', null, null,
+      {certificate: cert}, scopes => scopes, null, keys);
+    assume(res.accessToken).equals(sigvalidator.temporaryAccessToken(seed, 'root-secret'));
+
+    // version 1 certificates need the issuer's accessToken
+    assume(() => sigvalidator.limitClientWithExt('my-temp-cred', 'root', null, null, null,
+      {certificate: _.defaults({version: 1}, cert)}, scopes => scopes, null, keys)
+    ).throws(/must be version 2/);
+  });
 });
@@ -0,0 +1,77 @@
+suite('source tracker', function() {
+  var assume        = require('assume');
+  var events        = require('events');
+  var SourceTracker = require('../src/sourcetracker');
+
+  var request = (ip, authorization) => ({
+    ip,
+    method: 'GET',
+    originalUrl: '/v1/ping',
+    headers: {authorization},
+  });
+  var input = authorization => ({
+    method: 'get',
+    resource: '/v1/ping',
+    host: 'test.taskcluster.net',
+    port: 443,
+    authorization,
+  });
+
+  // validator accepting anything from 10.x.x.x or an unknown source
+  var calls;
+  var validator = async input => {
+    calls.push(input.sourceIp);
+    if (input.sourceIp && !input.sourceIp.startsWith('10.')) {
+      return {status: 'auth-failed', reason: 'source-not-allowed'};
+    }
+    return {status: 'auth-success', allowedNetworks: ['10.0.0.0/8']};
+  };
+
+  setup(function() {
+    calls = [];
+  });
+
+  var track = (tracker, req) => {
+    let res = new events.EventEmitter();
+    tracker.middleware()(req, res, () => {});
+    return res;
+  };
+
+  test('validates with the source of the request', async function() {
+    let tracker = new SourceTracker();
+    let req = request('10.1.2.3', 'Hawk id="a"');
+    track(tracker, req);
+    track(tracker, request('192.168.1.1', 'Hawk id="b"'));
+    let result = await tracker.wrapValidator(validator)(input('Hawk id="a"'));
+    assume(result.status).equals('auth-success');
+    assume(calls).deep.equals(['10.1.2.3']);
+    assume(req.allowedNetworks).deep.equals(['10.0.0.0/8']);
+  });
+
+  test('validates without a source for untracked requests', async function() {
+    let tracker = new SourceTracker();
+    let result = await tracker.wrapValidator(validator)(input('Hawk id="a"'));
+    assume(result.status).equals('auth-success');
+    assume(calls).deep.equals([undefined]);
+  });
+
+  test('requires all sources of identical requests to be allowed', async function() {
+    let tracker = new SourceTracker();
+    track(tracker, request('10.1.2.3', 'Bearer x'));
+    track(tracker, request('192.168.1.1', 'Bearer x'));
+    let result = await tracker.wrapValidator(validator)(input('Bearer x'));
+    assume(result.reason).equals('source-not-allowed');
+    assume(calls).deep.equals(['10.1.2.3', '192.168.1.1']);
+  });
+
+  test('forgets requests once they are done', async function() {
+    let tracker = new SourceTracker();
+    let res = track(tracker, request('192.168.1.1', 'Bearer x'));
+    track(tracker, request('10.1.2.3', 'Bearer x'));
+    res.emit('finish');
+    res.emit('close');
+    let result = await tracker.wrapValidator(validator)(input('Bearer x'));
+    assume(result.status).equals('auth-success');
+    assume(calls).deep.equals(['10.1.2.3']);
+  });
+});
@@ -13,6 +13,14 @@ var testCases = [
     path:     'authenticate-hawk-request-ipv4.json',
     schema:   'auth/v1/authenticate-hawk-request.json#',
     success:  true,
+  }, {
+    path:     'authenticate-hawk-request-payload.json',
+    schema:   'auth/v1/authenticate-hawk-request.json#',
+    success:  true,
+  }, {
+    path:     'authenticate-hawk-request-payload-bad.json',
+    schema:   'auth/v1/authenticate-hawk-request.json#',
+    success:  false,
   }, {
     path:     'create-role-request1.json',
     schema:   'auth/v1/create-role-request.json#',